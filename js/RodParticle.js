@@ -17,18 +17,56 @@ class RodParticle extends Particle {
         // Rod-specific properties
         this.length = length;
         this.angle = angle || 0;
-        this.pointA = createVector(0, 0);
-        this.pointB = createVector(0, 0);
+        this.pointA = backend.createVector(0, 0);
+        this.pointB = backend.createVector(0, 0);
         
         // Rotational dynamics properties
         this.angularVelocity = 0;         // Angular velocity in radians per time step
         this.angularAcceleration = 0;     // Angular acceleration in radians per time step squared
+        this.angleTurns = 0;              // Full turns removed by normalizing the angle
         this.momentOfInertia = this.calculateMomentOfInertia(); // Moment of inertia
         
         // Initialize endpoints
         this.updateEndpoints();
     }
 
+    /**
+     * Maximum angular velocity in radians per time step
+     */
+    static get MAX_ANGULAR_VELOCITY() {
+        return 0.2;
+    }
+
+    /**
+     * Names of the scalar state fields saved in snapshots
+     * @returns {Array<string>} - Field names
+     */
+    static get STATE_FIELDS() {
+        return super.STATE_FIELDS.concat(['length', 'angle', 'angularVelocity', 'angularAcceleration', 'angleTurns']);
+    }
+    
+    /**
+     * Get the complete dynamic state of the rod
+     * @returns {object} - Plain, JSON-serializable state
+     */
+    getState() {
+        const state = super.getState();
+        state.type = 'rod';
+        return state;
+    }
+    
+    /**
+     * Restore the dynamic state written by getState
+     * @param {object} state - State to restore
+     */
+    setState(state) {
+        super.setState(state);
+        
+        // Derived values follow from mass, length, position and angle
+        this.updateMomentOfInertia();
+        this.updateEndpoints();
+    }
+
     /**
      * Calculate the moment of inertia for the rod
      * For a thin rod rotating about its center, I = (1/12) * m * L²
@@ -51,8 +89,8 @@ class RodParticle extends Particle {
      */
     updateEndpoints() {
         const halfLength = this.length / 2;
-        const dx = halfLength * cos(this.angle);
-        const dy = halfLength * sin(this.angle);
+        const dx = halfLength * backend.cos(this.angle);
+        const dy = halfLength * backend.sin(this.angle);
 
         this.pointA.set(
             this.position.x + dx,
@@ -70,9 +108,9 @@ class RodParticle extends Particle {
      * @returns {p5.Vector} The closest point (either pointA, center, or pointB)
      */
     getInteractionPoint(targetPosition) {
-        const distToA = p5.Vector.dist(targetPosition, this.pointA);
-        const distToCenter = p5.Vector.dist(targetPosition, this.position);
-        const distToB = p5.Vector.dist(targetPosition, this.pointB);
+        const distToA = backend.Vector.dist(targetPosition, this.pointA);
+        const distToCenter = backend.Vector.dist(targetPosition, this.position);
+        const distToB = backend.Vector.dist(targetPosition, this.pointB);
         
         if (distToA <= distToCenter && distToA <= distToB) {
             return this.pointA.copy();
@@ -94,7 +132,7 @@ class RodParticle extends Particle {
         
         // Calculate torque
         // τ = r × F where r is the vector from center to application point
-        const r = p5.Vector.sub(applicationPoint, this.position);
+        const r = backend.Vector.sub(applicationPoint, this.position);
         
         // In 2D, torque is a scalar: τ = r × F = r_x * F_y - r_y * F_x
         const torque = r.x * force.y - r.y * force.x;
@@ -134,18 +172,16 @@ class RodParticle extends Particle {
         }
         
         // Update angular velocity based on angular acceleration
-        this.angularVelocity += this.angularAcceleration;
+        this.angularVelocity += this.angularAcceleration * config.timeStep;
         
-        // Limit maximum angular velocity (optional)
-        const maxAngularVelocity = 0.2; // Adjust as needed
-        this.angularVelocity = constrain(this.angularVelocity, -maxAngularVelocity, maxAngularVelocity);
+        // Limit maximum angular velocity
+        this.limitAngularSpeed(config);
         
         // Update angle based on angular velocity
         this.angle += this.angularVelocity * config.timeStep;
         
         // Normalize angle to keep it between 0 and 2π
-        this.angle = this.angle % TWO_PI;
-        if (this.angle < 0) this.angle += TWO_PI;
+        this.normalizeAngle();
         
         // Reset angular acceleration for next frame
         this.angularAcceleration = 0;
@@ -155,8 +191,87 @@ class RodParticle extends Particle {
         
         // Update endpoint positions after movement and rotation
         this.updateEndpoints();
+        
+        // Apply the boundary mode now that the endpoints are current
+        Boundary.apply(this, config);
     }
     
+    /**
+     * Get the angular acceleration including rotational dampening
+     * Uses the same dampening torque as update()
+     * @param {object} config - Current simulation configuration
+     * @returns {number} - Angular acceleration
+     */
+    getDampedAngularAcceleration(config) {
+        let angularAcceleration = this.angularAcceleration;
+        if (config.dampeningCoefficient > 0) {
+            const rotationalDampeningFactor = 10;
+            const dampeningTorque = -config.dampeningCoefficient * rotationalDampeningFactor * this.angularVelocity;
+            angularAcceleration += dampeningTorque / this.momentOfInertia;
+        }
+        return angularAcceleration;
+    }
+    
+    /**
+     * Finish a step after an integrator has advanced the linear and angular motion
+     * @param {object} config - Current simulation configuration
+     */
+    completeStep(config) {
+        // Linear bookkeeping (speed limit, boundaries, mass and moment of inertia)
+        super.completeStep(config);
+        
+        // Limit maximum angular velocity
+        this.limitAngularSpeed(config);
+        
+        // Normalize angle to keep it between 0 and 2π
+        this.normalizeAngle();
+        
+        // Reset angular acceleration for next frame
+        this.angularAcceleration = 0;
+        
+        // Update endpoint positions after movement and rotation
+        this.updateEndpoints();
+        
+        // Apply the boundary mode now that the endpoints are current
+        Boundary.apply(this, config);
+    }
+    
+    /**
+     * Clamp the angular velocity to MAX_ANGULAR_VELOCITY, if the speed limit is enabled
+     * @param {object} config - Current simulation configuration
+     */
+    limitAngularSpeed(config) {
+        if (config.speedLimitEnabled) {
+            const maxAngularVelocity = RodParticle.MAX_ANGULAR_VELOCITY;
+            this.angularVelocity = backend.constrain(this.angularVelocity, -maxAngularVelocity, maxAngularVelocity);
+        }
+    }
+    
+    /**
+     * Bring the angle into [0, 2π), counting the full turns removed
+     */
+    normalizeAngle() {
+        const angle = this.angle;
+        this.angle = this.angle % backend.TWO_PI;
+        if (this.angle < 0) this.angle += backend.TWO_PI;
+        this.angleTurns += Math.round((angle - this.angle) / backend.TWO_PI);
+    }
+    
+    /**
+     * Get the angle the rod would have if it had never been normalized
+     * @returns {number} - Unwrapped angle in radians
+     */
+    getUnwrappedAngle() {
+        return this.angle + this.angleTurns * backend.TWO_PI;
+    }
+    
+    /**
+     * Boundaries are applied at the end of update() and completeStep(), after the rotation,
+     * since walls act on the endpoints
+     * @param {object} config - Current simulation configuration
+     */
+    handleBoundaries(config) {}
+    
     /**
      * Override the updateMass method to also update moment of inertia
      * @param {object} config - Current simulation configuration
@@ -0,0 +1,226 @@
+/**
+ * Backend module for the simulation core
+ * Provides the vector, math and random functions used by the physics,
+ * so the core can run with p5.js in the browser or on its own under Node
+ */
+
+/**
+ * Minimal 2D vector with the subset of the p5.Vector API used by the simulation core
+ */
+class Vector2D {
+    /**
+     * Create a new vector
+     * @param {number} x - X component
+     * @param {number} y - Y component
+     */
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+    }
+
+    /**
+     * Set both components
+     * @param {number} x - X component
+     * @param {number} y - Y component
+     */
+    set(x, y) {
+        this.x = x;
+        this.y = y;
+        return this;
+    }
+
+    /**
+     * Get a copy of the vector
+     */
+    copy() {
+        return new Vector2D(this.x, this.y);
+    }
+
+    /**
+     * Add a vector in place
+     * @param {Vector2D} v - Vector to add
+     */
+    add(v) {
+        this.x += v.x;
+        this.y += v.y;
+        return this;
+    }
+
+    /**
+     * Subtract a vector in place
+     * @param {Vector2D} v - Vector to subtract
+     */
+    sub(v) {
+        this.x -= v.x;
+        this.y -= v.y;
+        return this;
+    }
+
+    /**
+     * Multiply by a scalar in place
+     * @param {number} n - Scalar
+     */
+    mult(n) {
+        this.x *= n;
+        this.y *= n;
+        return this;
+    }
+
+    /**
+     * Divide by a scalar in place
+     * @param {number} n - Scalar
+     */
+    div(n) {
+        this.x /= n;
+        this.y /= n;
+        return this;
+    }
+
+    /**
+     * Get the magnitude of the vector
+     */
+    mag() {
+        return Math.sqrt(this.x * this.x + this.y * this.y);
+    }
+
+    /**
+     * Get the squared magnitude of the vector
+     */
+    magSq() {
+        return this.x * this.x + this.y * this.y;
+    }
+
+    /**
+     * Get the distance to another point
+     * @param {Vector2D} v - The other point
+     */
+    dist(v) {
+        const dx = v.x - this.x;
+        const dy = v.y - this.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Scale the vector to unit length (zero vectors are left unchanged)
+     */
+    normalize() {
+        const length = this.mag();
+        if (length !== 0) {
+            this.div(length);
+        }
+        return this;
+    }
+
+    /**
+     * Limit the magnitude of the vector
+     * @param {number} max - Maximum magnitude
+     */
+    limit(max) {
+        const lengthSq = this.magSq();
+        if (lengthSq > max * max) {
+            this.div(Math.sqrt(lengthSq)).mult(max);
+        }
+        return this;
+    }
+
+    /**
+     * Get the sum of two vectors as a new vector
+     */
+    static add(v1, v2) {
+        return new Vector2D(v1.x + v2.x, v1.y + v2.y);
+    }
+
+    /**
+     * Get the difference of two vectors as a new vector
+     */
+    static sub(v1, v2) {
+        return new Vector2D(v1.x - v2.x, v1.y - v2.y);
+    }
+
+    /**
+     * Get a vector multiplied by a scalar as a new vector
+     */
+    static mult(v, n) {
+        return new Vector2D(v.x * n, v.y * n);
+    }
+
+    /**
+     * Get a vector divided by a scalar as a new vector
+     */
+    static div(v, n) {
+        return new Vector2D(v.x / n, v.y / n);
+    }
+
+    /**
+     * Get the distance between two points
+     */
+    static dist(v1, v2) {
+        return v1.dist(v2);
+    }
+}
+
+/**
+ * Simulation backend
+ * Holds the active vector/math/random implementation used by the simulation core
+ */
+class SimulationBackend {
+    constructor() {
+        this.use(SimulationBackend.createDefaultBackend());
+    }
+
+    /**
+     * Create the plain JavaScript backend (no p5 required)
+     * @returns {object} - Backend implementation
+     */
+    static createDefaultBackend() {
+        return {
+            name: 'default',
+            Vector: Vector2D,
+            createVector: (x = 0, y = 0) => new Vector2D(x, y),
+            random: (min, max) => {
+                if (max === undefined) {
+                    max = min === undefined ? 1 : min;
+                    min = 0;
+                }
+                return min + Math.random() * (max - min);
+            },
+            cos: Math.cos,
+            sin: Math.sin,
+            constrain: (value, low, high) => Math.max(Math.min(value, high), low),
+            TWO_PI: Math.PI * 2,
+            frameRate: () => 0
+        };
+    }
+
+    /**
+     * Create a backend that delegates to the p5.js globals
+     * Must be called once p5 has been loaded
+     * @returns {object} - Backend implementation
+     */
+    static createP5Backend() {
+        return {
+            name: 'p5',
+            Vector: p5.Vector,
+            createVector: (x = 0, y = 0) => createVector(x, y),
+            random: (min, max) => random(min, max),
+            cos: (angle) => cos(angle),
+            sin: (angle) => sin(angle),
+            constrain: (value, low, high) => constrain(value, low, high),
+            TWO_PI: TWO_PI,
+            frameRate: () => frameRate()
+        };
+    }
+
+    /**
+     * Switch to a different backend implementation
+     * Any function not provided keeps its current implementation
+     * @param {object} implementation - Backend implementation
+     */
+    use(implementation) {
+        Object.assign(this, implementation);
+        return this;
+    }
+}
+
+// Create and export a singleton instance
+const backend = new SimulationBackend();
@@ -0,0 +1,311 @@
+/**
+ * Boundary module
+ * Edge behaviour of the simulation area and the periodic minimum-image distances
+ */
+class Boundary {
+    /**
+     * Available boundary modes and their display names
+     */
+    static get MODES() {
+        return {
+            periodic: 'Periodic',
+            reflective: 'Reflective',
+            absorbing: 'Absorbing',
+            softWall: 'Soft Wall'
+        };
+    }
+
+    /**
+     * Check whether the area wraps around (particles interact across the edges)
+     * @param {object} config - Current simulation configuration
+     * @returns {boolean} - True for the periodic mode
+     */
+    static isPeriodic(config) {
+        return Boundary.getMode(config) === 'periodic';
+    }
+
+    /**
+     * Get the active boundary mode (periodic when unset)
+     * Called for every pair, so it avoids building the MODES table
+     * @param {object} config - Current simulation configuration
+     * @returns {string} - Boundary mode
+     */
+    static getMode(config) {
+        return config.boundaryMode || 'periodic';
+    }
+
+    /**
+     * Wrap a coordinate difference to its nearest periodic image
+     * @param {number} delta - Coordinate difference
+     * @param {number} size - Period (width or height of the area)
+     * @returns {number} - Difference with magnitude at most size / 2
+     */
+    static wrapDelta(delta, size) {
+        return delta - size * Math.round(delta / size);
+    }
+
+    /**
+     * Wrap a coordinate difference that is off by at most one period to its nearest image
+     * Same result as wrapDelta without the division, for hot loops over points inside the area
+     * @param {number} delta - Coordinate difference, less than 1.5 periods in magnitude
+     * @param {number} size - Period (width or height of the area)
+     * @param {number} half - Half the period
+     * @returns {number} - Difference with magnitude at most size / 2
+     */
+    static wrapNearDelta(delta, size, half) {
+        if (delta >= half) return delta - size;
+        if (delta < -half) return delta + size;
+        return delta;
+    }
+
+    /**
+     * Wrap a coordinate into [0, size)
+     * @param {number} value - Coordinate
+     * @param {number} size - Period (width or height of the area)
+     * @returns {number} - Wrapped coordinate
+     */
+    static wrapCoordinate(value, size) {
+        return value - size * Math.floor(value / size);
+    }
+
+    /**
+     * Get the offset that moves a position to its periodic image nearest another position
+     * @param {p5.Vector} from - Reference position
+     * @param {p5.Vector} to - Position to move
+     * @param {object} config - Current simulation configuration
+     * @returns {p5.Vector|null} - Offset to add to `to`, or null if `to` is already the nearest image
+     */
+    static getImageShift(from, to, config) {
+        if (!Boundary.isPeriodic(config)) return null;
+
+        const width = config.canvasWidth;
+        const height = config.canvasHeight;
+        const shiftX = -width * Math.round((to.x - from.x) / width);
+        const shiftY = -height * Math.round((to.y - from.y) / height);
+        if (shiftX === 0 && shiftY === 0) return null;
+        return backend.createVector(shiftX, shiftY);
+    }
+
+    /**
+     * Get the vector from one position to another, using the nearest periodic image
+     * @param {p5.Vector} from - Start position
+     * @param {p5.Vector} to - End position
+     * @param {object} config - Current simulation configuration
+     * @returns {p5.Vector} - Displacement vector
+     */
+    static displacement(from, to, config) {
+        const delta = backend.Vector.sub(to, from);
+        if (Boundary.isPeriodic(config)) {
+            delta.set(
+                Boundary.wrapDelta(delta.x, config.canvasWidth),
+                Boundary.wrapDelta(delta.y, config.canvasHeight)
+            );
+        }
+        return delta;
+    }
+
+    /**
+     * Get the distance between two positions, using the nearest periodic image
+     * @param {p5.Vector} a - First position
+     * @param {p5.Vector} b - Second position
+     * @param {object} config - Current simulation configuration
+     * @returns {number} - Distance
+     */
+    static distance(a, b, config) {
+        if (!Boundary.isPeriodic(config)) {
+            return backend.Vector.dist(a, b);
+        }
+        const dx = Boundary.wrapDelta(b.x - a.x, config.canvasWidth);
+        const dy = Boundary.wrapDelta(b.y - a.y, config.canvasHeight);
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Apply the boundary mode to a particle after it has moved
+     * Rods must have current endpoints; the soft wall works through forces instead
+     * @param {Particle} particle - The particle
+     * @param {object} config - Current simulation configuration
+     */
+    static apply(particle, config) {
+        switch (Boundary.getMode(config)) {
+            case 'reflective':
+                Boundary.reflect(particle, config);
+                break;
+            case 'absorbing':
+                if (Boundary.isOutside(particle, config)) {
+                    particle.absorbed = true;
+                }
+                break;
+            case 'softWall':
+                break;
+            default:
+                Boundary.wrap(particle, config);
+        }
+    }
+
+    /**
+     * Wrap a particle's center back into the area; rods move with their center
+     * @param {Particle} particle - The particle
+     * @param {object} config - Current simulation configuration
+     */
+    static wrap(particle, config) {
+        const width = config.canvasWidth;
+        const height = config.canvasHeight;
+        const x = particle.position.x;
+        const y = particle.position.y;
+        if (x >= 0 && x < width && y >= 0 && y < height) return;
+
+        particle.position.set(Boundary.wrapCoordinate(x, width), Boundary.wrapCoordinate(y, height));
+        particle.wrapX += x - particle.position.x;
+        particle.wrapY += y - particle.position.y;
+        if (particle instanceof RodParticle) {
+            particle.updateEndpoints();
+        }
+    }
+
+    /**
+     * Get the points of a particle that touch the walls: the center, or a rod's endpoints
+     * @param {Particle} particle - The particle
+     * @returns {Array<p5.Vector>} - Contact points
+     */
+    static getContactPoints(particle) {
+        if (particle instanceof RodParticle) {
+            return [particle.pointA, particle.pointB];
+        }
+        return [particle.position];
+    }
+
+    /**
+     * Get the four walls of the area with their inward normals
+     * @param {object} config - Current simulation configuration
+     * @returns {Array<object>} - Walls as { axis, limit, normal }
+     */
+    static getWalls(config) {
+        return [
+            { axis: 'x', limit: 0, normal: 1 },
+            { axis: 'x', limit: config.canvasWidth, normal: -1 },
+            { axis: 'y', limit: 0, normal: 1 },
+            { axis: 'y', limit: config.canvasHeight, normal: -1 }
+        ];
+    }
+
+    /**
+     * Keep a particle inside reflecting walls
+     * The deepest point past a wall is pushed back onto it and, if it is still moving
+     * outward, gets an elastic impulse; at a rod endpoint the impulse also changes the spin
+     * @param {Particle} particle - The particle
+     * @param {object} config - Current simulation configuration
+     */
+    static reflect(particle, config) {
+        for (const wall of Boundary.getWalls(config)) {
+            // Deepest contact point beyond this wall
+            let deepest = null;
+            let depth = 0;
+            for (const point of Boundary.getContactPoints(particle)) {
+                const pointDepth = (wall.limit - point[wall.axis]) * wall.normal;
+                if (pointDepth > depth) {
+                    depth = pointDepth;
+                    deepest = point;
+                }
+            }
+            if (!deepest) continue;
+
+            // Contact point relative to the center, then move the particle back inside
+            const rx = deepest.x - particle.position.x;
+            const ry = deepest.y - particle.position.y;
+            particle.position[wall.axis] += depth * wall.normal;
+
+            const nx = wall.axis === 'x' ? wall.normal : 0;
+            const ny = wall.axis === 'y' ? wall.normal : 0;
+            Boundary.bounce(particle, rx, ry, nx, ny);
+
+            if (particle instanceof RodParticle) {
+                particle.updateEndpoints();
+            }
+        }
+    }
+
+    /**
+     * Apply an elastic wall impulse at a contact point
+     * @param {Particle} particle - The particle
+     * @param {number} rx - Contact point x relative to the center
+     * @param {number} ry - Contact point y relative to the center
+     * @param {number} nx - Inward wall normal x
+     * @param {number} ny - Inward wall normal y
+     */
+    static bounce(particle, rx, ry, nx, ny) {
+        const isRod = particle instanceof RodParticle;
+
+        // Normal velocity of the contact point (v + ω × r)
+        const armCrossNormal = rx * ny - ry * nx;
+        let normalVelocity = particle.velocity.x * nx + particle.velocity.y * ny;
+        if (isRod) {
+            normalVelocity += particle.angularVelocity * armCrossNormal;
+        }
+        if (normalVelocity >= 0) return; // Already moving inward
+
+        // J = -2 v_n / (1/m + (r × n)² / I)
+        let inverseMass = 1 / particle.mass;
+        if (isRod) {
+            inverseMass += armCrossNormal * armCrossNormal / particle.momentOfInertia;
+        }
+        const impulse = -2 * normalVelocity / inverseMass;
+
+        particle.velocity.x += impulse * nx / particle.mass;
+        particle.velocity.y += impulse * ny / particle.mass;
+        if (isRod) {
+            particle.angularVelocity += impulse * armCrossNormal / particle.momentOfInertia;
+        }
+    }
+
+    /**
+     * Check whether a particle has left the area completely
+     * Rods count as outside only once both endpoints have crossed the same edge
+     * @param {Particle} particle - The particle
+     * @param {object} config - Current simulation configuration
+     * @returns {boolean} - True if no part of the particle is inside the area
+     */
+    static isOutside(particle, config) {
+        const points = Boundary.getContactPoints(particle);
+        return Boundary.getWalls(config).some(wall =>
+            points.every(point => (wall.limit - point[wall.axis]) * wall.normal > 0)
+        );
+    }
+
+    /**
+     * Apply the soft wall force to a particle
+     * Each contact point closer to an edge than wallRange is pushed inward by
+     * F = wallStiffness * (wallRange - gap), which keeps growing past the edge;
+     * rods are pushed at their endpoints, so the wall also turns them
+     * @param {Particle} particle - The particle
+     * @param {object} config - Current simulation configuration
+     */
+    static applyWallForces(particle, config) {
+        const isRod = particle instanceof RodParticle;
+
+        for (const point of Boundary.getContactPoints(particle)) {
+            let forceX = 0;
+            let forceY = 0;
+            for (const wall of Boundary.getWalls(config)) {
+                const gap = (point[wall.axis] - wall.limit) * wall.normal;
+                const penetration = config.wallRange - gap;
+                if (penetration <= 0) continue;
+
+                const magnitude = config.wallStiffness * penetration * wall.normal;
+                if (wall.axis === 'x') {
+                    forceX += magnitude;
+                } else {
+                    forceY += magnitude;
+                }
+            }
+            if (forceX === 0 && forceY === 0) continue;
+
+            const force = backend.createVector(forceX, forceY);
+            if (isRod) {
+                particle.applyForceAtPoint(force, point);
+            } else {
+                particle.applyForce(force);
+            }
+        }
+    }
+}
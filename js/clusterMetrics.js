@@ -0,0 +1,259 @@
+/**
+ * Cluster metrics module
+ * Shape metrics of a cluster computed from its members' positions
+ *
+ * A circular particle is sampled at its center and a rod at its center and both
+ * endpoints. Positions are taken as offsets from the first member (nearest periodic
+ * image), like the cluster centers, so a cluster spanning a periodic edge stays whole.
+ *
+ * Metrics:
+ *   radiusOfGyration - RMS distance of the points from their mean
+ *   asphericity      - (l1 - l2)^2 / (l1 + l2)^2 of the gyration tensor eigenvalues:
+ *                      0 for an isotropic cluster, 1 for a straight chain
+ *   hullArea         - Area of the convex hull of the points
+ *   packingFraction  - Area of the particles over the hull grown by the mean particle radius
+ *                      (above 1 when particles overlap)
+ *   fractalDimension - Box-counting dimension, or null for clusters too small to tell
+ */
+class ClusterMetrics {
+    /**
+     * Smallest cluster (in members) given a fractal dimension
+     */
+    static get MIN_FRACTAL_SIZE() {
+        return 10;
+    }
+
+    /**
+     * Metric keys and their display names
+     */
+    static get METRICS() {
+        return {
+            radiusOfGyration: 'Radius of Gyration',
+            asphericity: 'Asphericity',
+            hullArea: 'Hull Area',
+            packingFraction: 'Packing Fraction',
+            fractalDimension: 'Fractal Dimension'
+        };
+    }
+
+    /**
+     * Measure a cluster
+     * @param {Array<Particle>} members - Particles of the cluster
+     * @param {object} config - Current simulation configuration
+     * @returns {object} - { size, radiusOfGyration, asphericity, hullArea, packingFraction, fractalDimension }
+     */
+    static measure(members, config) {
+        const points = ClusterMetrics.getPoints(members, config);
+
+        // Particle radii and areas as drawn: circles of radius mass, rods mass * 0.8 wide
+        let particleArea = 0;
+        let radiusSum = 0;
+        for (const particle of members) {
+            if (particle instanceof RodParticle) {
+                particleArea += particle.length * particle.mass * 0.8;
+                radiusSum += particle.mass * 0.4;
+            } else {
+                particleArea += Math.PI * particle.mass * particle.mass;
+                radiusSum += particle.mass;
+            }
+        }
+        const meanRadius = members.length > 0 ? radiusSum / members.length : 0;
+
+        const gyration = ClusterMetrics.getGyration(points);
+        const hull = ClusterMetrics.getConvexHull(points);
+        const hullArea = ClusterMetrics.getPolygonArea(hull);
+
+        // Steiner formula: the hull grown by r has area A + P r + pi r^2
+        const grownArea = hullArea + ClusterMetrics.getPolygonPerimeter(hull) * meanRadius +
+            Math.PI * meanRadius * meanRadius;
+
+        return {
+            size: members.length,
+            radiusOfGyration: gyration.radius,
+            asphericity: gyration.asphericity,
+            hullArea,
+            packingFraction: grownArea > 0 ? particleArea / grownArea : 0,
+            fractalDimension: members.length >= ClusterMetrics.MIN_FRACTAL_SIZE ?
+                ClusterMetrics.getBoxCountingDimension(points, 2 * meanRadius) :
+                null
+        };
+    }
+
+    /**
+     * Get the sample points of a cluster, as offsets from its first member
+     * @param {Array<Particle>} members - Particles of the cluster
+     * @param {object} config - Current simulation configuration
+     * @returns {Array<object>} - Points as { x, y }
+     */
+    static getPoints(members, config) {
+        if (members.length === 0) return [];
+
+        const reference = members[0].position;
+        const points = [];
+        for (const particle of members) {
+            const samples = particle instanceof RodParticle ?
+                [particle.position, particle.pointA, particle.pointB] :
+                [particle.position];
+            for (const sample of samples) {
+                const offset = Boundary.displacement(reference, sample, config);
+                points.push({ x: offset.x, y: offset.y });
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Get the radius of gyration and asphericity from the gyration tensor
+     * @param {Array<object>} points - Points as { x, y }
+     * @returns {object} - { radius, asphericity }
+     */
+    static getGyration(points) {
+        const n = points.length;
+        if (n === 0) {
+            return { radius: 0, asphericity: 0 };
+        }
+
+        let meanX = 0;
+        let meanY = 0;
+        for (const point of points) {
+            meanX += point.x;
+            meanY += point.y;
+        }
+        meanX /= n;
+        meanY /= n;
+
+        let sxx = 0;
+        let syy = 0;
+        let sxy = 0;
+        for (const point of points) {
+            const dx = point.x - meanX;
+            const dy = point.y - meanY;
+            sxx += dx * dx;
+            syy += dy * dy;
+            sxy += dx * dy;
+        }
+        sxx /= n;
+        syy /= n;
+        sxy /= n;
+
+        // Eigenvalues of [[sxx, sxy], [sxy, syy]]
+        const trace = sxx + syy;
+        const spread = Math.sqrt((sxx - syy) * (sxx - syy) + 4 * sxy * sxy);
+        return {
+            radius: Math.sqrt(trace),
+            asphericity: trace > 0 ? (spread * spread) / (trace * trace) : 0
+        };
+    }
+
+    /**
+     * Get the convex hull of a set of points (monotone chain)
+     * @param {Array<object>} points - Points as { x, y }
+     * @returns {Array<object>} - Hull vertices, counter-clockwise
+     */
+    static getConvexHull(points) {
+        const sorted = points.slice().sort((a, b) => (a.x - b.x) || (a.y - b.y));
+        if (sorted.length < 3) return sorted;
+
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const lower = [];
+        for (const point of sorted) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+                lower.pop();
+            }
+            lower.push(point);
+        }
+        const upper = [];
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            const point = sorted[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+                upper.pop();
+            }
+            upper.push(point);
+        }
+
+        // Each chain ends where the other starts
+        lower.pop();
+        upper.pop();
+        return lower.concat(upper);
+    }
+
+    /**
+     * Get the area of a polygon (shoelace formula)
+     * @param {Array<object>} vertices - Vertices in order
+     * @returns {number} - Area
+     */
+    static getPolygonArea(vertices) {
+        let area = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % vertices.length];
+            area += a.x * b.y - b.x * a.y;
+        }
+        return Math.abs(area) / 2;
+    }
+
+    /**
+     * Get the perimeter of a polygon; for two vertices, twice their distance
+     * @param {Array<object>} vertices - Vertices in order
+     * @returns {number} - Perimeter
+     */
+    static getPolygonPerimeter(vertices) {
+        if (vertices.length < 2) return 0;
+
+        let perimeter = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % vertices.length];
+            perimeter += Math.hypot(b.x - a.x, b.y - a.y);
+        }
+        return perimeter;
+    }
+
+    /**
+     * Estimate the box-counting dimension of a set of points
+     * Boxes start at the given size and grow by a factor of √2 up to half the cluster's
+     * extent, so clusters a few diameters across still span three sizes; the dimension
+     * is the least-squares slope of log N(s) against log(1 / s)
+     * @param {Array<object>} points - Points as { x, y }
+     * @param {number} minBoxSize - Smallest box size (about one particle diameter)
+     * @returns {number|null} - Dimension, or null if fewer than three box sizes apply
+     */
+    static getBoxCountingDimension(points, minBoxSize) {
+        if (points.length === 0 || !(minBoxSize > 0)) return null;
+
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        for (const point of points) {
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        }
+        const extent = Math.max(maxX - minX, maxY - minY);
+
+        const logSizes = [];
+        const logCounts = [];
+        for (let size = minBoxSize; size <= extent / 2; size *= Math.SQRT2) {
+            const boxes = new Set();
+            for (const point of points) {
+                boxes.add(`${Math.floor((point.x - minX) / size)},${Math.floor((point.y - minY) / size)}`);
+            }
+            logSizes.push(Math.log(1 / size));
+            logCounts.push(Math.log(boxes.size));
+        }
+        if (logSizes.length < 3) return null;
+
+        const n = logSizes.length;
+        const meanX = logSizes.reduce((sum, value) => sum + value, 0) / n;
+        const meanY = logCounts.reduce((sum, value) => sum + value, 0) / n;
+        let covariance = 0;
+        let variance = 0;
+        for (let i = 0; i < n; i++) {
+            covariance += (logSizes[i] - meanX) * (logCounts[i] - meanY);
+            variance += (logSizes[i] - meanX) * (logSizes[i] - meanX);
+        }
+        return covariance / variance;
+    }
+}
@@ -0,0 +1,397 @@
+/**
+ * Cluster tracker module
+ * Gives clusters IDs that persist from frame to frame and keeps a record of each one
+ *
+ * A frame is one cluster update, made once per simulation step. A cluster record has:
+ *   id          - Persistent cluster ID
+ *   birthFrame  - Frame the cluster first appeared
+ *   lastFrame   - Latest frame the cluster was seen
+ *   endFrame    - Frame the cluster was first missing (null while it exists)
+ *   age         - Number of frames the cluster has existed
+ *   size        - Current (or final) number of members
+ *   peakSize    - Largest number of members, reached at peakFrame
+ *   center      - Current (or final) center position { x, y }
+ *   members     - Current (or final) member particle IDs
+ *   history     - Latest membership changes: [{ frame, joined, left, size }], starting with the birth
+ *
+ * Lifecycle events are { type, frame, clusterId, size, position } plus, by type:
+ *   formed              - A cluster appeared from free particles
+ *   grew                - A cluster gained members (previousSize)
+ *   merged              - Clusters joined into clusterId (sources: the previous cluster IDs,
+ *                         sourceSizes: how many members each of them brought)
+ *   split               - Cluster clusterId broke apart (into: the resulting cluster IDs,
+ *                         intoSizes: how many of its members went to each)
+ *   repulsionTriggered  - A cluster's repulsion delay expired and it started to repel
+ *   dissolved           - A cluster ended with none of its members left in a cluster
+ */
+class ClusterTracker {
+    /**
+     * Number of membership changes kept per record
+     */
+    static get MAX_HISTORY_ENTRIES() {
+        return 200;
+    }
+
+    /**
+     * Number of ended records kept (the oldest are dropped first)
+     */
+    static get MAX_ENDED_RECORDS() {
+        return 500;
+    }
+
+    /**
+     * Number of lifecycle events kept (the oldest are dropped first)
+     */
+    static get MAX_EVENTS() {
+        return 2000;
+    }
+
+    /**
+     * Lifecycle event types and their display names
+     */
+    static get EVENT_TYPES() {
+        return {
+            formed: 'Formed',
+            grew: 'Grew',
+            merged: 'Merged',
+            split: 'Split',
+            repulsionTriggered: 'Repulsion',
+            dissolved: 'Dissolved'
+        };
+    }
+
+    /**
+     * Create an empty tracker
+     */
+    constructor() {
+        this.frame = 0;
+        this.nextClusterId = 0;
+
+        // Cluster ID to record, for current and recently ended clusters
+        this.records = new Map();
+        this.activeIds = new Set();
+        this.endedIds = [];
+
+        // Particle ID to the ID of the cluster it belongs to in the latest frame
+        this.particleClusterIds = new Map();
+
+        // Clusters that were repelling in the latest frame
+        this.repulsingIds = new Set();
+
+        // Latest lifecycle events, and the number emitted since the start
+        this.events = [];
+        this.eventCount = 0;
+    }
+
+    /**
+     * Match this frame's clusters to the previous frame's and update the records
+     * Each cluster takes the ID of the previous cluster it shares the most members with.
+     * When clusters split, the part with the largest overlap keeps the ID; when they merge,
+     * the merged cluster continues the one it shares the most members with
+     * @param {Array<Array<number>>} clusters - Member particle IDs of each cluster in this frame
+     * @param {Array<object>} centers - Center position { x, y } of each cluster
+     * @returns {Array<number>} - Persistent ID of each cluster, in the same order
+     */
+    update(clusters, centers) {
+        this.frame++;
+
+        // Member overlap of every current cluster with the previous clusters
+        const candidates = [];
+        const sources = clusters.map(() => []);
+        const destinations = new Map(); // Previous ID to the overlapping { index, overlap } entries
+        clusters.forEach((members, index) => {
+            const overlaps = new Map();
+            for (const particleId of members) {
+                const previousId = this.particleClusterIds.get(particleId);
+                if (previousId !== undefined) {
+                    overlaps.set(previousId, (overlaps.get(previousId) || 0) + 1);
+                }
+            }
+            for (const [clusterId, overlap] of overlaps) {
+                candidates.push({ index, clusterId, overlap });
+                sources[index].push({ clusterId, overlap });
+                if (!destinations.has(clusterId)) {
+                    destinations.set(clusterId, []);
+                }
+                destinations.get(clusterId).push({ index, overlap });
+            }
+        });
+
+        // Largest overlaps claim their IDs first; ties go to the older cluster
+        candidates.sort((a, b) => b.overlap - a.overlap || a.clusterId - b.clusterId || a.index - b.index);
+        const ids = new Array(clusters.length).fill(null);
+        const continued = new Set();
+        for (const candidate of candidates) {
+            if (ids[candidate.index] !== null || continued.has(candidate.clusterId)) continue;
+            ids[candidate.index] = candidate.clusterId;
+            continued.add(candidate.clusterId);
+        }
+
+        // Previous clusters that nothing continued have ended; without any
+        // members left in a cluster they dissolved, otherwise they merged or split
+        for (const clusterId of Array.from(this.activeIds)) {
+            if (continued.has(clusterId)) continue;
+
+            const record = this.records.get(clusterId);
+            if (!destinations.has(clusterId)) {
+                this.emit('dissolved', record.id, record.size, record.center);
+            }
+            this.endRecord(record);
+        }
+
+        // Clusters without a predecessor are new
+        this.particleClusterIds.clear();
+        clusters.forEach((members, index) => {
+            if (ids[index] === null) {
+                ids[index] = this.createRecord().id;
+            }
+        });
+
+        // Previous clusters whose members ended up in several clusters split
+        for (const [clusterId, parts] of destinations) {
+            if (parts.length < 2) continue;
+
+            const record = this.records.get(clusterId);
+            const sorted = parts.map(part => ({ id: ids[part.index], overlap: part.overlap }))
+                .sort((a, b) => a.id - b.id);
+            this.emit('split', clusterId, record.size, record.center, {
+                into: sorted.map(part => part.id),
+                intoSizes: sorted.map(part => part.overlap)
+            });
+        }
+
+        clusters.forEach((members, index) => {
+            const record = this.records.get(ids[index]);
+            const previousSize = record.size;
+            const isNew = record.birthFrame === this.frame;
+            this.updateRecord(record, members, centers[index]);
+            for (const particleId of members) {
+                this.particleClusterIds.set(particleId, ids[index]);
+            }
+
+            if (sources[index].length > 1) {
+                const sorted = sources[index].slice().sort((a, b) => a.clusterId - b.clusterId);
+                this.emit('merged', record.id, record.size, record.center, {
+                    sources: sorted.map(source => source.clusterId),
+                    sourceSizes: sorted.map(source => source.overlap)
+                });
+            } else if (isNew && sources[index].length === 0) {
+                this.emit('formed', record.id, record.size, record.center);
+            } else if (!isNew && record.size > previousSize) {
+                this.emit('grew', record.id, record.size, record.center, { previousSize });
+            }
+        });
+
+        return ids;
+    }
+
+    /**
+     * Record which clusters are repelling, emitting an event for each one that just started
+     * @param {Array<number>} clusterIds - Persistent IDs of the repelling clusters
+     */
+    updateRepulsion(clusterIds) {
+        const repulsing = new Set(clusterIds);
+        for (const clusterId of repulsing) {
+            const record = this.records.get(clusterId);
+            if (record && !this.repulsingIds.has(clusterId)) {
+                this.emit('repulsionTriggered', clusterId, record.size, record.center);
+            }
+        }
+        this.repulsingIds = repulsing;
+    }
+
+    /**
+     * Add a lifecycle event to the stream
+     * @param {string} type - Event type (see EVENT_TYPES)
+     * @param {number} clusterId - Persistent ID of the cluster
+     * @param {number} size - Cluster size
+     * @param {object|null} position - Cluster center { x, y }
+     * @param {object} details - Type-specific fields
+     */
+    emit(type, clusterId, size, position, details = {}) {
+        this.events.push(Object.assign({
+            type,
+            frame: this.frame,
+            clusterId,
+            size,
+            position: position ? { x: position.x, y: position.y } : null
+        }, details));
+        this.eventCount++;
+
+        if (this.events.length > ClusterTracker.MAX_EVENTS) {
+            this.events.shift();
+        }
+    }
+
+    /**
+     * Start the record of a new cluster
+     * @returns {object} - The new record
+     */
+    createRecord() {
+        const record = {
+            id: this.nextClusterId++,
+            birthFrame: this.frame,
+            lastFrame: this.frame,
+            endFrame: null,
+            age: 0,
+            size: 0,
+            peakSize: 0,
+            peakFrame: this.frame,
+            center: null,
+            members: [],
+            history: []
+        };
+        this.records.set(record.id, record);
+        this.activeIds.add(record.id);
+        return record;
+    }
+
+    /**
+     * Update a cluster's record with its members in this frame
+     * @param {object} record - The cluster's record
+     * @param {Array<number>} members - Member particle IDs
+     * @param {object} center - Center position { x, y }
+     */
+    updateRecord(record, members, center) {
+        // Membership changes since the last frame
+        const previous = new Set(record.members);
+        const current = new Set(members);
+        const joined = members.filter(particleId => !previous.has(particleId));
+        const left = record.members.filter(particleId => !current.has(particleId));
+        if (joined.length > 0 || left.length > 0) {
+            record.history.push({ frame: this.frame, joined, left, size: members.length });
+            if (record.history.length > ClusterTracker.MAX_HISTORY_ENTRIES) {
+                record.history.shift();
+            }
+        }
+
+        record.members = members.slice();
+        record.size = members.length;
+        record.center = center ? { x: center.x, y: center.y } : null;
+        record.lastFrame = this.frame;
+        record.age = this.frame - record.birthFrame + 1;
+        if (record.size > record.peakSize) {
+            record.peakSize = record.size;
+            record.peakFrame = this.frame;
+        }
+    }
+
+    /**
+     * Mark a cluster as ended, keeping its final members
+     * @param {object} record - The cluster's record
+     */
+    endRecord(record) {
+        record.endFrame = this.frame;
+        this.activeIds.delete(record.id);
+        this.endedIds.push(record.id);
+
+        // Forget the oldest ended clusters
+        while (this.endedIds.length > ClusterTracker.MAX_ENDED_RECORDS) {
+            this.records.delete(this.endedIds.shift());
+        }
+    }
+
+    /**
+     * Get the persistent ID of the cluster a particle belongs to
+     * @param {number} particleId - ID of the particle
+     * @returns {number|null} - Cluster ID, or null if the particle is not in a cluster
+     */
+    getClusterId(particleId) {
+        const clusterId = this.particleClusterIds.get(particleId);
+        return clusterId !== undefined ? clusterId : null;
+    }
+
+    /**
+     * Get a cluster's record
+     * @param {number} clusterId - Persistent cluster ID
+     * @returns {object|null} - The record, or null if unknown or forgotten
+     */
+    getRecord(clusterId) {
+        return this.records.get(clusterId) || null;
+    }
+
+    /**
+     * Get the records of the clusters that exist in the latest frame
+     * @returns {Array<object>} - Records in order of ID
+     */
+    getActiveRecords() {
+        return Array.from(this.activeIds).sort((a, b) => a - b).map(clusterId => this.records.get(clusterId));
+    }
+
+    /**
+     * Get every kept record, current and ended
+     * @returns {Array<object>} - Records in order of ID
+     */
+    getRecords() {
+        return Array.from(this.records.values()).sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Get the latest lifecycle events
+     * @returns {Array<object>} - Events, oldest first
+     */
+    getEvents() {
+        return this.events;
+    }
+
+    /**
+     * Renumber the particle IDs of the current clusters
+     * Called when particles are removed; ended records and the history keep the IDs
+     * the particles had at the time
+     * @param {Map<number, number>} idMap - Old ID to new ID; IDs missing from the map were removed
+     */
+    remapParticleIds(idMap) {
+        this.particleClusterIds.clear();
+        for (const clusterId of this.activeIds) {
+            const record = this.records.get(clusterId);
+            record.members = record.members
+                .map(particleId => idMap.get(particleId))
+                .filter(particleId => particleId !== undefined);
+            for (const particleId of record.members) {
+                this.particleClusterIds.set(particleId, clusterId);
+            }
+        }
+    }
+
+    /**
+     * Get the tracker state
+     * @returns {object} - Plain, JSON-serializable state
+     */
+    getState() {
+        return {
+            frame: this.frame,
+            nextClusterId: this.nextClusterId,
+            records: JSON.parse(JSON.stringify(this.getRecords())),
+            endedIds: this.endedIds.slice(),
+            repulsingIds: Array.from(this.repulsingIds),
+            events: JSON.parse(JSON.stringify(this.events)),
+            eventCount: this.eventCount
+        };
+    }
+
+    /**
+     * Restore the state written by getState
+     * @param {object} state - State to restore
+     */
+    setState(state) {
+        this.frame = state.frame || 0;
+        this.nextClusterId = state.nextClusterId || 0;
+        this.records.clear();
+        this.activeIds.clear();
+        this.endedIds = (state.endedIds || []).slice();
+        this.particleClusterIds.clear();
+        this.repulsingIds = new Set(state.repulsingIds || []);
+        this.events = JSON.parse(JSON.stringify(state.events || []));
+        this.eventCount = state.eventCount || this.events.length;
+
+        for (const record of JSON.parse(JSON.stringify(state.records || []))) {
+            this.records.set(record.id, record);
+            if (record.endFrame === null) {
+                this.activeIds.add(record.id);
+                for (const particleId of record.members) {
+                    this.particleClusterIds.set(particleId, record.id);
+                }
+            }
+        }
+    }
+}
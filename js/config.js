@@ -18,33 +18,112 @@ class Config {
             rodLength: 40,        // Length of rod particles
             
             // Force settings
+            forceLaw: 'threshold',     // Registered force law (see forceLaws.js)
             thresholdDistance: 60,
             attractionCoefficient: 0.1,
             repulsionCoefficient: 0.2,
             stickyForceCoefficient: 0.5,
             stickyForcePower: 4,
+            transitionProfile: 'step', // 'step', 'linear', 'sigmoid' or 'smoothstep' around each threshold band
+            transitionWidth: 0.2,      // Width of each transition band as a fraction of thresholdDistance
+            
+            // Force law parameters (used when forceLaw selects the law)
+            ljEpsilon: 0.5,            // Lennard-Jones well depth
+            ljSigma: 30,               // Lennard-Jones size (zero-crossing distance)
+            morseDepth: 0.5,           // Morse well depth
+            morseWidth: 0.1,           // Morse well stiffness
+            morseEquilibrium: 40,      // Morse equilibrium distance
+            yukawaStrength: 50,        // Yukawa strength (positive repels, negative attracts)
+            yukawaScreening: 0.05,     // Yukawa inverse screening length
+            harmonicStiffness: 0.05,   // Soft harmonic spring constant
+            harmonicRange: 40,         // Soft harmonic contact distance
             
             // Repulsion delay settings
             repulsionDelay: 120,
             delayIncrease: 30,
             maxRepulsionDelay: 300,
             
+            // Affinity settings
+            affinityEnabled: false,           // Assign affinity classes to new particles
+            affinityTypes: 2,                 // Number of affinity classes (1-4)
+            affinityProportions: [1, 1, 1, 1], // Relative share of each affinity class
+            affinitySameFactor: 1,            // Attraction multiplier for same-affinity pairs
+            affinityOppositeFactor: -1,       // Attraction multiplier for opposing pairs (negative = repulsion)
+            affinityBondCompatibleOnly: true, // Only particles with the same affinity form cluster bonds
+            
+            // Species interaction matrix settings
+            interactionMatrixEnabled: false,  // Apply per-species-pair force overrides
+            speciesMode: 'shape',             // 'shape' (circle/rod) or 'affinity' (A, B, ...)
+            interactionMatrix: {},            // 'speciesA|speciesB' -> { attractionCoefficient, repulsionCoefficient, stickyForceCoefficient, thresholdDistance }
+            
             // Mass evolution settings
             massGainRate: 0.02,
             massLossRate: 0.003,
             
-            // Canvas settings
-            canvasWidth: window.innerWidth,
-            canvasHeight: window.innerHeight - 100, // Account for controls
+            // Boundary settings
+            boundaryMode: 'periodic',  // 'periodic' (wrap, minimum-image distances), 'reflective', 'absorbing' or 'softWall'
+            wallStiffness: 0.05,       // Soft wall spring constant
+            wallRange: 30,             // Distance from the edge at which the soft wall starts pushing
+            
+            // Canvas settings (fixed size when running headless without a window)
+            canvasWidth: typeof window !== 'undefined' ? window.innerWidth : 800,
+            canvasHeight: typeof window !== 'undefined' ? window.innerHeight - 100 : 600, // Account for controls
+            
+            // Display settings
+            colorBy: 'history',  // 'history' (cluster count), 'affinity', 'coordination' (bonds) or 'bondOrder' (|psi6|)
+            genealogyWindow: 1000,  // Frames shown in the cluster genealogy panel
+            genealogyMinSize: 3,    // Smallest peak size of the clusters shown in the genealogy panel
+            chartWindow: 30,        // Seconds (at 1x speed) shown in the statistics charts
+            chartsShown: 'all',     // 'all' charts, or only the 'pinned' ones
+            pinnedCharts: [],       // Chart series kept at the top of the statistics panel
+            histogramXScale: 'linear',    // 'linear' or 'log' value axis of the distribution histograms
+            histogramYScale: 'linear',    // 'linear' or 'log' count axis
+            histogramBins: 0,             // Number of bins (0 = automatic)
+            histogramAverage: false,      // Overlay the distribution averaged over recent samples
+            histogramAverageSamples: 60,  // Samples in the average (one every 10 steps)
+            clusterMetric: 'radiusOfGyration', // Cluster shape metric shown in the statistics panel
+            showOrderField: false,     // Draw the local nematic order of the rods over the canvas
+            orderFieldCellSize: 80,    // Cell size of the local order field
+            roseBins: 36,              // Bins of the rod angle rose plot over 0-180 degrees
+            correlationEnabled: false, // Sample the pair correlation g(r) (costs a pass over all pairs)
+            correlationPair: 'all',    // 'all', 'circle|circle', 'rod|rod' or 'circle|rod'
+            correlationView: 'g',      // Plot 'g' (g(r)) or 's' (structure factor S(k))
+            correlationMaxDistance: 200, // Largest pair distance binned (at most half the shorter side)
+            correlationBinWidth: 5,    // Width of the distance bins
+            correlationSamples: 50,    // Samples averaged (one every 10 steps)
+            msdView: 'translation',    // Plot the 'translation' MSD of each group or the rods' 'rotation' MSD
             
             // Simulation settings
+            seed: SeededRandom.generateSeed(), // Seed for particle generation (same seed = same run)
             timeStep: 1,
+            substeps: 1,          // Fixed physics steps per nominal frame, each advancing timeStep / substeps
+            simulationSpeed: 1,   // Simulated time per real second relative to 60 frames of timeStep (0.1x-20x)
+            adaptiveTimeStep: false,      // Subdivide steps so no particle exceeds the tolerances below
+            adaptiveMaxDisplacement: 1,   // Largest distance any point of a particle may move in one substep
+            adaptiveMaxSpeedChange: 0.1,  // Largest speed change (|a|·dt) of any particle in one substep
+            adaptiveMaxSubsteps: 64,      // Most substeps per fixed step
+            integrator: 'symplecticEuler', // 'symplecticEuler', 'velocityVerlet' or 'rk4' (linear and angular motion)
             maxSpeed: 5,
-            dampeningCoefficient: 0.03 // Friction/dampening force (0 = no dampening, 1 = immediate stop)
+            speedLimitEnabled: true,    // Clamp speeds to maxSpeed (can be turned off when the adaptive time step resolves close encounters)
+            dampeningCoefficient: 0.03, // Friction/dampening force (0 = no dampening, 1 = immediate stop)
+            
+            // Recording settings
+            recordingEnabled: true,    // Keep a time series of the stats for export
+            recordInterval: 10,        // Steps between recorded samples
+            recordBufferLength: 1000,  // Samples kept; the oldest are overwritten
+            trajectoryEnabled: false,  // Keep the unwrapped particle trajectories for the MSD analysis
+            trajectoryInterval: 10,    // Steps between trajectory frames
+            trajectoryLength: 200,     // Frames kept; the oldest are dropped
+            
+            // Performance settings
+            useSpatialGrid: true,     // Use a uniform grid for short-range pair checks
+            longRangeMode: 'barnesHut', // 'barnesHut' (quadtree far field), 'cutoff' (drop attraction beyond attractionCutoff) or 'exact' (all pairs)
+            attractionCutoff: 200,    // Maximum attraction distance in 'cutoff' mode
+            barnesHutTheta: 0.5       // Barnes-Hut opening angle (0 = exact, larger = faster and coarser)
         };
         
         // Current settings (will be modified by UI)
-        this.current = Object.assign({}, this.defaults);
+        this.current = this.copySettings(this.defaults);
     }
     
     /**
@@ -53,7 +132,7 @@ class Config {
      */
     resetToDefaults(preserveSettings = {}) {
         // First reset everything to defaults
-        this.current = Object.assign({}, this.defaults);
+        this.current = this.copySettings(this.defaults);
         
         // Then apply any preserved settings
         Object.entries(preserveSettings).forEach(([key, value]) => {
@@ -65,6 +144,25 @@ class Config {
         return this.current;
     }
     
+    /**
+     * Copy a settings object, including array and object values, so edits don't leak into the source
+     * @param {Object} settings - Settings to copy
+     * @returns {Object} - The copy
+     */
+    copySettings(settings) {
+        // Spread rather than Object.assign, which leaves a copy this large in dictionary mode
+        // and turns every settings lookup in the force loops into a hash lookup
+        const copy = { ...settings };
+        Object.entries(copy).forEach(([key, value]) => {
+            if (Array.isArray(value)) {
+                copy[key] = value.slice();
+            } else if (value !== null && typeof value === 'object') {
+                copy[key] = JSON.parse(JSON.stringify(value));
+            }
+        });
+        return copy;
+    }
+    
     /**
      * Save current simulation state
      */
@@ -74,7 +172,9 @@ class Config {
             timestamp: Date.now()
         };
         
-        localStorage.setItem('simulationState', JSON.stringify(state));
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem('simulationState', JSON.stringify(state));
+        }
         return state;
     }
     
@@ -82,6 +182,8 @@ class Config {
      * Load saved simulation state
      */
     loadState() {
+        if (typeof localStorage === 'undefined') return false;
+        
         const savedState = localStorage.getItem('simulationState');
         if (savedState) {
             const state = JSON.parse(savedState);
@@ -101,6 +203,21 @@ class Config {
         }
         return false;
     }
+    
+    /**
+     * Add a setting that has no default in this file, such as a parameter of a force law
+     * registered elsewhere; an existing setting keeps its value
+     * @param {string} key - Setting name
+     * @param {*} defaultValue - Default value
+     */
+    addSetting(key, defaultValue) {
+        if (!(key in this.defaults)) {
+            this.defaults[key] = defaultValue;
+        }
+        if (!(key in this.current)) {
+            this.current[key] = defaultValue;
+        }
+    }
 }
 
 // Create and export a singleton instance
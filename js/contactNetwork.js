@@ -0,0 +1,172 @@
+/**
+ * Contact network module
+ * The graph of the cluster bonds (the pairs close enough to cluster) for analysis:
+ * coordination numbers, the hexatic bond-orientational order psi6 and per-cluster graph metrics
+ */
+class ContactNetwork {
+    /**
+     * Build the network from bond keys
+     * @param {Iterable<string>} connections - Bonds as 'id1-id2' (particle IDs are array indices)
+     * @param {number} particleCount - Number of particles
+     */
+    constructor(connections, particleCount) {
+        this.neighbors = Array.from({ length: particleCount }, () => []);
+        this.edgeCount = 0;
+        for (const connection of connections) {
+            const [id1, id2] = connection.split('-').map(id => parseInt(id));
+            if (id1 >= particleCount || id2 >= particleCount || id1 === id2) continue;
+
+            this.neighbors[id1].push(id2);
+            this.neighbors[id2].push(id1);
+            this.edgeCount++;
+        }
+    }
+
+    /**
+     * Get the coordination number (number of bonds) of every particle
+     * @returns {Array<number>} - Degree per particle ID
+     */
+    getDegrees() {
+        return this.neighbors.map(list => list.length);
+    }
+
+    /**
+     * Get the coordination number distribution
+     * @returns {Array<number>} - Number of particles with each degree, from 0 to the largest
+     */
+    getDegreeCounts() {
+        const counts = [];
+        for (const list of this.neighbors) {
+            while (counts.length <= list.length) {
+                counts.push(0);
+            }
+            counts[list.length]++;
+        }
+        return counts;
+    }
+
+    /**
+     * Get the average coordination number of each species, unbonded particles included
+     * @param {Array<Particle>} particles - All particles
+     * @returns {object} - { all, circle, rod }, null for a species with no particles
+     */
+    getAverageDegrees(particles) {
+        const sums = { all: 0, circle: 0, rod: 0 };
+        const counts = { all: 0, circle: 0, rod: 0 };
+        particles.forEach((particle, id) => {
+            const species = particle instanceof RodParticle ? 'rod' : 'circle';
+            const degree = this.neighbors[id] ? this.neighbors[id].length : 0;
+            sums.all += degree;
+            sums[species] += degree;
+            counts.all++;
+            counts[species]++;
+        });
+
+        const averages = {};
+        Object.keys(sums).forEach(key => {
+            averages[key] = counts[key] > 0 ? sums[key] / counts[key] : null;
+        });
+        return averages;
+    }
+
+    /**
+     * Get the hexatic bond-orientational order of every particle
+     * psi6 = (1/n) * sum of exp(6i * bond angle) over the particle's n bonds; its magnitude
+     * is 1 when the bonds sit on a hexagonal lattice and small when they are disordered
+     * @param {Array<Particle>} particles - All particles
+     * @param {object} config - Current simulation configuration
+     * @returns {Array<object|null>} - { re, im, magnitude } per particle ID, null without bonds
+     */
+    getBondOrders(particles, config) {
+        return this.neighbors.map((list, id) => {
+            if (list.length === 0 || !particles[id]) return null;
+
+            let re = 0;
+            let im = 0;
+            for (const neighbor of list) {
+                const bond = Boundary.displacement(particles[id].position, particles[neighbor].position, config);
+                const angle = Math.atan2(bond.y, bond.x);
+                re += Math.cos(6 * angle);
+                im += Math.sin(6 * angle);
+            }
+            re /= list.length;
+            im /= list.length;
+            return { re, im, magnitude: Math.sqrt(re * re + im * im) };
+        });
+    }
+
+    /**
+     * Get the global hexatic order: the magnitude of the mean psi6 of the bonded particles
+     * @param {Array<object|null>} bondOrders - From getBondOrders
+     * @returns {number} - Global psi6 from 0 to 1
+     */
+    static getGlobalBondOrder(bondOrders) {
+        let re = 0;
+        let im = 0;
+        let count = 0;
+        for (const order of bondOrders) {
+            if (!order) continue;
+            re += order.re;
+            im += order.im;
+            count++;
+        }
+        return count > 0 ? Math.sqrt(re * re + im * im) / count : 0;
+    }
+
+    /**
+     * Get the graph metrics of a cluster
+     * The cycle count is the number of independent cycles, bonds - members + 1;
+     * the diameter is the longest shortest path in bonds, from a breadth-first search per member
+     * @param {Array<number>} members - Particle IDs of the cluster
+     * @returns {object} - { nodes, edges, averageDegree, diameter, cycles, triangles }
+     */
+    getGraphMetrics(members) {
+        const inCluster = new Set(members);
+        let degreeSum = 0;
+        for (const id of members) {
+            degreeSum += this.neighbors[id].filter(neighbor => inCluster.has(neighbor)).length;
+        }
+        const edges = degreeSum / 2;
+
+        // Longest shortest path
+        let diameter = 0;
+        for (const source of members) {
+            const distances = new Map([[source, 0]]);
+            const queue = [source];
+            for (let head = 0; head < queue.length; head++) {
+                const id = queue[head];
+                const distance = distances.get(id);
+                diameter = Math.max(diameter, distance);
+                for (const neighbor of this.neighbors[id]) {
+                    if (inCluster.has(neighbor) && !distances.has(neighbor)) {
+                        distances.set(neighbor, distance + 1);
+                        queue.push(neighbor);
+                    }
+                }
+            }
+        }
+
+        // Triangles, each counted once from its lowest ID
+        let triangles = 0;
+        for (const id of members) {
+            const higher = this.neighbors[id].filter(neighbor => neighbor > id && inCluster.has(neighbor));
+            const higherSet = new Set(higher);
+            for (const neighbor of higher) {
+                for (const next of this.neighbors[neighbor]) {
+                    if (next > neighbor && higherSet.has(next)) {
+                        triangles++;
+                    }
+                }
+            }
+        }
+
+        return {
+            nodes: members.length,
+            edges,
+            averageDegree: members.length > 0 ? degreeSum / members.length : 0,
+            diameter,
+            cycles: Math.max(0, edges - members.length + 1),
+            triangles
+        };
+    }
+}
@@ -8,6 +8,14 @@ class ForceSystem {
         this.previousClusters = new Set();
         this.currentClusters = new Set();
         
+        // IDs of the current connections as a flat [id1, id2, ...] list, so the cluster
+        // pass doesn't have to parse them back out of the keys
+        this.connectionIds = [];
+        
+        // Numeric keys of the current connections, to skip repeats within the frame
+        // (currentClusters is only filled in once the frame's connections are known)
+        this.connectionIndices = new Set();
+        
         // Map to track which particles belong to which clusters
         this.particleClusterMap = new Map();
         
@@ -17,11 +25,32 @@ class ForceSystem {
         // Map to track cluster centers
         this.clusterCenters = new Map();
         
+        // Persistent ID of each cluster index in the current frame
+        this.clusterIds = [];
+        
+        // Cluster identities and records across frames
+        this.clusterTracker = new ClusterTracker();
+        
         // Map to track cluster repulsion states
         this.clusterRepulsionStates = new Map();
         
         // Total number of distinct clusters
         this.distinctClusterCount = 0;
+        
+        // Number of current pair connections each particle takes part in
+        this.connectionCounts = new Map();
+        
+        // Broad phase grid for short-range pair interactions
+        this.spatialGrid = new SpatialGrid();
+        
+        // Quadtrees for the Barnes-Hut long-range approximation (one per particle group)
+        this.quadTrees = [];
+        
+        // Per-frame cache of settings merged with species interaction matrix overrides
+        this.pairConfigCache = new Map();
+        
+        // False during trial force evaluations, which must not change cluster state
+        this.recordingClusters = true;
     }
     
     /**
@@ -30,47 +59,61 @@ class ForceSystem {
      * @param {object} config - Current simulation configuration
      */
     applyForces(particles, config) {
-        // Reset tracking for this frame
-        this.currentClusters.clear();
+        // Reset tracking for this frame (previousClusters keeps the last frame's set)
+        this.currentClusters = new Set();
+        this.connectionIds.length = 0;
+        this.connectionIndices.clear();
+        this.connectionCounts.clear();
         this.particleClusterMap.clear();
         this.clusterSizes.clear();
         this.clusterRepulsionStates.clear();
+        this.pairConfigCache.clear();
         this.distinctClusterCount = 0;
         
-        // First pass: identify potential clusters based on proximity
+        // Fill in defaults for any parameters of the active force law that aren't set
+        const forceLaw = this.getForceLaw(config);
+        config = ForceLawRegistry.withDefaults(forceLaw, config);
+        
+        // Ensure each particle has an ID for cluster tracking
         for (let i = 0; i < particles.length; i++) {
-            // Ensure each particle has an ID for cluster tracking
             if (particles[i].id === undefined || particles[i].id === null) {
                 particles[i].id = i;
             }
-            
-            // Don't reset cluster status here - we'll do it after force calculation
-            
-            for (let j = i + 1; j < particles.length; j++) {
-                // Check if particles are close enough to be in a cluster
-                const distance = p5.Vector.dist(particles[i].position, particles[j].position);
-                if (distance < config.thresholdDistance * 0.8) {
-                    const clusterID = [particles[i].id, particles[j].id].sort().join('-');
-                    this.currentClusters.add(clusterID);
-                }
-            }
         }
         
+        // Bin particles for the short-range passes
+        const useGrid = this.buildSpatialGrid(particles, config);
+        
+        // First pass: identify potential clusters based on proximity
+        this.forEachPair(particles, useGrid, this.getMaxThresholdDistance(config) * 0.8, (i, j) => {
+            // Check if particles are close enough to be in a cluster
+            const pairConfig = this.getPairConfig(particles[i], particles[j], config);
+            const distance = Boundary.distance(particles[i].position, particles[j].position, config);
+            if (this.isClusterDistance(distance, pairConfig) && this.canBond(particles[i], particles[j], config)) {
+                this.addConnection(particles[i].id, particles[j].id);
+            }
+        });
+        
         // Identify distinct clusters before applying forces
-        this.identifyDistinctClusters(particles);
+        this.identifyDistinctClusters(particles, config);
         
         // Propagate repulsion states before applying any forces
         // This ensures all particles in a cluster know their repulsion state
         // before force calculations begin
         this.propagateRepulsionInClusters(particles);
         
-        // Second pass: apply forces between all particles
-        // Now that repulsion states are propagated, forces will be applied consistently
-        for (let i = 0; i < particles.length; i++) {
-            for (let j = i + 1; j < particles.length; j++) {
-                this.applyForceBetweenParticles(particles[i], particles[j], config);
+        // Report the clusters whose repulsion delay has expired to the event stream
+        const repulsingIds = [];
+        for (const [clusterIndex, repulsing] of this.clusterRepulsionStates) {
+            if (repulsing) {
+                repulsingIds.push(this.clusterIds[clusterIndex]);
             }
         }
+        this.clusterTracker.updateRepulsion(repulsingIds);
+        
+        // Second pass: apply forces between particles
+        // Now that repulsion states are propagated, forces will be applied consistently
+        this.applyPairForces(particles, config, forceLaw, useGrid);
         
         // IMPORTANT: Only update particle cluster states AFTER all forces have been applied
         // This prevents resetting repulsion states during force calculation
@@ -89,11 +132,14 @@ class ForceSystem {
             }
         }
         
-        // Update cluster counts for new clusters
-        for (const clusterId of this.currentClusters) {
+        // Key the frame's connections and update cluster counts for new clusters
+        for (let c = 0; c < this.connectionIds.length; c += 2) {
+            const id1 = this.connectionIds[c];
+            const id2 = this.connectionIds[c + 1];
+            const clusterId = ForceSystem.getConnectionKey(id1, id2);
+            this.currentClusters.add(clusterId);
             if (!this.previousClusters.has(clusterId)) {
-                const particleIds = clusterId.split('-').map(id => parseInt(id));
-                for (const id of particleIds) {
+                for (const id of [id1, id2]) {
                     if (id >= 0 && id < particles.length) {
                         if (typeof particles[id].incrementClusterCount === 'function') {
                             particles[id].incrementClusterCount();
@@ -106,7 +152,489 @@ class ForceSystem {
         }
         
         // Update previous clusters for next frame
-        this.previousClusters = new Set(this.currentClusters);
+        this.previousClusters = this.currentClusters;
+    }
+    
+    /**
+     * Re-evaluate the forces at the particles' current positions without changing cluster state
+     * Used by multi-stage integrators for their intermediate stages; the cluster structure
+     * and repulsion states from the last applyForces call are kept
+     * @param {Array} particles - Array of all particles in the simulation
+     * @param {object} config - Current simulation configuration
+     */
+    evaluateForces(particles, config) {
+        const forceLaw = this.getForceLaw(config);
+        config = ForceLawRegistry.withDefaults(forceLaw, config);
+        
+        // Start from zero so only this evaluation's forces remain
+        for (const particle of particles) {
+            particle.acceleration.set(0, 0);
+            if (particle instanceof RodParticle) {
+                particle.angularAcceleration = 0;
+            }
+        }
+        
+        const useGrid = this.buildSpatialGrid(particles, config);
+        this.recordingClusters = false;
+        try {
+            this.applyPairForces(particles, config, forceLaw, useGrid);
+        } finally {
+            this.recordingClusters = true;
+        }
+    }
+    
+    /**
+     * Create the force-evaluation callback passed to the integrator
+     * @param {Array} particles - Array of all particles in the simulation
+     * @param {object} config - Current simulation configuration
+     * @returns {function} - Re-evaluates forces at the current positions
+     */
+    createForceEvaluator(particles, config) {
+        return () => this.evaluateForces(particles, config);
+    }
+    
+    /**
+     * Bin particles into the spatial grid, if it is enabled
+     * Cells use the largest threshold, since species pairs may override it;
+     * with periodic boundaries the grid wraps around the edges
+     * @param {Array} particles - Array of all particles in the simulation
+     * @param {object} config - Current simulation configuration
+     * @returns {boolean} - Whether the grid was built
+     */
+    buildSpatialGrid(particles, config) {
+        const useGrid = config.useSpatialGrid !== false;
+        if (useGrid) {
+            this.spatialGrid.build(
+                particles,
+                config.canvasWidth,
+                config.canvasHeight,
+                this.getShortRange(config),
+                Boundary.isPeriodic(config)
+            );
+        }
+        return useGrid;
+    }
+    
+    /**
+     * Apply the pair forces of the active force law
+     * @param {Array} particles - Array of all particles in the simulation
+     * @param {object} config - Current simulation configuration
+     * @param {object} forceLaw - The active force law
+     * @param {boolean} useGrid - Whether the spatial grid was built for this frame
+     */
+    applyPairForces(particles, config, forceLaw, useGrid) {
+        if (forceLaw.name !== 'threshold') {
+            // Other laws are truncated at their own range, so the long-range modes don't apply
+            const lawRange = forceLaw.range ? forceLaw.range(config) : Infinity;
+            const useRange = useGrid && isFinite(lawRange);
+            this.forEachPair(particles, useRange, lawRange, (i, j) => {
+                this.applyForceBetweenParticles(particles[i], particles[j], config, lawRange);
+            });
+        } else if (config.longRangeMode === 'barnesHut') {
+            this.applyBarnesHutForces(particles, config, useGrid);
+        } else {
+            // In cutoff mode attraction beyond the cutoff is dropped; the threshold regimes are always exact
+            const useCutoff = useGrid && config.longRangeMode === 'cutoff';
+            const interactionRange = useCutoff ? this.getInteractionRange(config) : Infinity;
+            this.forEachPair(particles, useCutoff, interactionRange, (i, j) => {
+                this.applyForceBetweenParticles(particles[i], particles[j], config, interactionRange);
+            });
+        }
+        
+        // Soft walls act like an external potential on every particle
+        if (Boundary.getMode(config) === 'softWall') {
+            for (const particle of particles) {
+                Boundary.applyWallForces(particle, config);
+            }
+        }
+    }
+    
+    /**
+     * Visit pairs of particles, either all of them or the grid candidates within range
+     * @param {Array} particles - Array of all particles in the simulation
+     * @param {boolean} useGrid - Whether to use the spatial grid built for this frame
+     * @param {number} range - Range passed to the grid (ignored for all pairs)
+     * @param {function} callback - Called with (i, j) for each pair
+     */
+    forEachPair(particles, useGrid, range, callback) {
+        if (useGrid) {
+            this.spatialGrid.forEachCandidatePair(range, callback);
+            return;
+        }
+        
+        for (let i = 0; i < particles.length; i++) {
+            for (let j = i + 1; j < particles.length; j++) {
+                callback(i, j);
+            }
+        }
+    }
+    
+    /**
+     * Get the range of the grid-based force pass
+     * Always covers the sticky band so only the long-range attraction is cut off
+     * @param {object} config - Current simulation configuration
+     * @returns {number} - Maximum interaction distance
+     */
+    getInteractionRange(config) {
+        return Math.max(config.attractionCutoff || 0, this.getShortRange(config));
+    }
+    
+    /**
+     * Get the outer edge of the short-range regimes
+     * Covers the sticky band around 1.2x the largest threshold plus half its transition width
+     * @param {object} config - Current simulation configuration
+     * @returns {number} - Short-range distance
+     */
+    getShortRange(config) {
+        const maxThreshold = this.getMaxThresholdDistance(config);
+        const halfWidth = config.transitionProfile === 'step' ? 0 : (config.transitionWidth || 0) / 2;
+        return maxThreshold * (1.2 + halfWidth);
+    }
+    
+    /**
+     * Get the weight of the outer regime across one of the threshold bands
+     * @param {number} distance - Distance between the particles
+     * @param {number} edge - Band edge (a multiple of the threshold distance)
+     * @param {object} config - Configuration for the pair
+     * @returns {number} - Weight between 0 (inside the band) and 1 (outside)
+     */
+    getTransitionWeight(distance, edge, config) {
+        return TransitionProfile.weight(
+            config.transitionProfile,
+            distance,
+            edge,
+            config.transitionWidth * config.thresholdDistance
+        );
+    }
+    
+    /**
+     * Check whether a pair is close enough to count as clustered
+     * A hard cutoff at 0.8x the threshold whatever the transition profile: membership
+     * is a yes-or-no property, and every profile crosses one half at the band edge anyway
+     * @param {number} distance - Distance between the particles
+     * @param {object} config - Configuration for the pair
+     * @returns {boolean} - True if the pair is within cluster distance
+     */
+    isClusterDistance(distance, config) {
+        return distance <= config.thresholdDistance * 0.8;
+    }
+    
+    /**
+     * Apply forces using the Barnes-Hut approximation
+     * Near-field pairs go through the exact pair code path; beyond the sticky band
+     * the force is pure attraction, which is approximated from quadtree mass centers
+     * @param {Array} particles - Array of all particles in the simulation
+     * @param {object} config - Current simulation configuration
+     * @param {boolean} useGrid - Whether the spatial grid was built for this frame
+     */
+    applyBarnesHutForces(particles, config, useGrid) {
+        const nearRange = this.getShortRange(config);
+        
+        // Near field: exact pair interactions
+        this.forEachPair(particles, useGrid, nearRange, (i, j) => {
+            if (this.isNearPair(particles[i], particles[j], nearRange, config)) {
+                this.applyForceBetweenParticles(particles[i], particles[j], config);
+            }
+        });
+        
+        // Far field: attraction from aggregated mass centers
+        // Particles with the same affinity and species share a tree, so each group's
+        // attraction can use its own coefficient and be scaled or flipped
+        const groups = new Map();
+        let maxExtent = 0;
+        particles.forEach((particle, i) => {
+            const affinity = config.affinityEnabled ? particle.affinity : null;
+            const species = config.interactionMatrixEnabled ? this.getSpecies(particle, config) : null;
+            const groupKey = `${affinity}|${species}`;
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, []);
+            }
+            groups.get(groupKey).push(i);
+            maxExtent = Math.max(maxExtent, SpatialGrid.getExtent(particle));
+        });
+        
+        // Any member of a group stands in for the whole group when looking up pair settings
+        this.quadTrees = Array.from(groups.values()).map(indices => {
+            const tree = new QuadTree();
+            tree.build(particles, indices);
+            return { representative: particles[indices[0]], tree: tree };
+        });
+        
+        for (let i = 0; i < particles.length; i++) {
+            for (const { representative, tree } of this.quadTrees) {
+                const pairConfig = this.getPairConfig(particles[i], representative, config);
+                const coefficient = pairConfig.attractionCoefficient *
+                    this.getAffinityFactor(particles[i], representative, config);
+                this.applyFarFieldAttraction(particles, i, tree, coefficient, nearRange, maxExtent, config);
+            }
+        }
+    }
+    
+    /**
+     * Check whether two particles can interact through anything other than pure attraction
+     * Uses center distance widened by the rod extents, so interaction points are never missed
+     * @param {Particle} p1 - First particle
+     * @param {Particle} p2 - Second particle
+     * @param {number} nearRange - Range of the near field
+     * @param {object} config - Current simulation configuration
+     * @returns {boolean} - True if the pair belongs to the near field
+     */
+    isNearPair(p1, p2, nearRange, config) {
+        const reach = nearRange + SpatialGrid.getExtent(p1) + SpatialGrid.getExtent(p2);
+        return Boundary.distance(p1.position, p2.position, config) <= reach;
+    }
+    
+    /**
+     * Apply the far-field attraction acting on one particle
+     * Nodes are opened when they look too large from the particle (size / distance >= θ)
+     * or when they could contain near-field partners, which are handled exactly.
+     * With periodic boundaries every node and particle acts from its nearest image
+     * @param {Array} particles - Array of all particles in the simulation
+     * @param {number} index - Index of the particle to update
+     * @param {QuadTree} tree - Tree holding the attracting particles
+     * @param {number} coefficient - Attraction coefficient for this tree (including affinity factor)
+     * @param {number} nearRange - Range of the near field
+     * @param {number} maxExtent - Largest particle extent in the simulation
+     * @param {object} config - Current simulation configuration
+     */
+    applyFarFieldAttraction(particles, index, tree, coefficient, nearRange, maxExtent, config) {
+        const particle = particles[index];
+        if (!tree.root || coefficient === 0) return;
+        
+        const px = particle.position.x;
+        const py = particle.position.y;
+        const extent = SpatialGrid.getExtent(particle);
+        const nearReach = nearRange + extent + maxExtent;
+        const theta = config.barnesHutTheta;
+        const periodic = Boundary.isPeriodic(config);
+        const width = config.canvasWidth;
+        const height = config.canvasHeight;
+        const halfWidth = width / 2;
+        const halfHeight = height / 2;
+        
+        let forceX = 0;
+        let forceY = 0;
+        const stack = [tree.root];
+        
+        while (stack.length > 0) {
+            const node = stack.pop();
+            
+            // Offset to the nearest image; positions and mass centers lie inside the area,
+            // so each offset is off by at most one period
+            let dx = node.centerX - px;
+            let dy = node.centerY - py;
+            if (periodic) {
+                dx = Boundary.wrapNearDelta(dx, width, halfWidth);
+                dy = Boundary.wrapNearDelta(dy, height, halfHeight);
+            }
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            
+            const mustOpen = node.size >= theta * distance ||
+                this.getNodeDistance(node, px, py, periodic, width, height) <= nearReach;
+            
+            if (!mustOpen) {
+                // Attractive force from the aggregated mass: F = k_a * (m * M) / r^2
+                const forceMagnitude = coefficient * (particle.mass * node.mass) / (distance * distance);
+                forceX += forceMagnitude * dx / distance;
+                forceY += forceMagnitude * dy / distance;
+            } else if (node.children) {
+                for (const child of node.children) {
+                    stack.push(child);
+                }
+            } else {
+                for (const j of node.indices) {
+                    if (j === index) continue;
+                    
+                    const other = particles[j];
+                    const reach = nearRange + extent + SpatialGrid.getExtent(other);
+                    let ox = other.position.x - px;
+                    let oy = other.position.y - py;
+                    if (periodic) {
+                        ox = Boundary.wrapNearDelta(ox, width, halfWidth);
+                        oy = Boundary.wrapNearDelta(oy, height, halfHeight);
+                    }
+                    const otherDistanceSq = ox * ox + oy * oy;
+                    
+                    // Near-field partners already received the exact force
+                    if (otherDistanceSq <= reach * reach) continue;
+                    
+                    const otherDistance = Math.sqrt(otherDistanceSq);
+                    const forceMagnitude = coefficient * (particle.mass * other.mass) / otherDistanceSq;
+                    forceX += forceMagnitude * ox / otherDistance;
+                    forceY += forceMagnitude * oy / otherDistance;
+                }
+            }
+        }
+        
+        particle.applyForce(backend.createVector(forceX, forceY));
+    }
+    
+    /**
+     * Get the distance from a point to a quadtree node, or to its nearest periodic image
+     * The square root node can reach past the shorter side, so a node center may be more
+     * than one and a half periods away; such a node is over half a period wide and
+     * wrapNearDelta still gives a gap of 0 along that axis, as wrapDelta would
+     * @param {object} node - The node to measure against
+     * @param {number} px - X coordinate of the point
+     * @param {number} py - Y coordinate of the point
+     * @param {boolean} periodic - Whether the area wraps around
+     * @param {number} width - Width of the area
+     * @param {number} height - Height of the area
+     * @returns {number} - Distance (0 if the point is inside the node)
+     */
+    getNodeDistance(node, px, py, periodic, width, height) {
+        if (!periodic) {
+            return QuadTree.distanceToNode(node, px, py);
+        }
+        
+        // Each axis independently: gap from the point to the nearest image of the node's span
+        const half = node.size / 2;
+        const gapX = Math.max(Math.abs(Boundary.wrapNearDelta(node.x + half - px, width, width / 2)) - half, 0);
+        const gapY = Math.max(Math.abs(Boundary.wrapNearDelta(node.y + half - py, height, height / 2)) - half, 0);
+        return Math.sqrt(gapX * gapX + gapY * gapY);
+    }
+    
+    /**
+     * Get the factor applied to attractive forces for a pair's affinities
+     * Same affinity uses affinitySameFactor, opposing affinity uses affinityOppositeFactor
+     * (a negative factor turns attraction into repulsion)
+     * @param {Particle} p1 - First particle
+     * @param {Particle} p2 - Second particle
+     * @param {object} config - Current simulation configuration
+     * @returns {number} - Attraction factor (1 when affinities don't apply)
+     */
+    getAffinityFactor(p1, p2, config) {
+        if (!config.affinityEnabled || p1.affinity === null || p2.affinity === null) {
+            return 1;
+        }
+        return p1.affinity === p2.affinity ? config.affinitySameFactor : config.affinityOppositeFactor;
+    }
+    
+    /**
+     * Get the active force law
+     * @param {object} config - Current simulation configuration
+     * @returns {object} - The law named by config.forceLaw, or the threshold law
+     */
+    getForceLaw(config) {
+        return forceLaws.get(config.forceLaw) || forceLaws.get('threshold');
+    }
+    
+    /**
+     * Get the species of a particle used to look up interaction matrix entries
+     * @param {Particle} particle - The particle
+     * @param {object} config - Current simulation configuration
+     * @returns {string} - 'circle' or 'rod' by shape, or an affinity letter ('A', 'B', ...)
+     */
+    getSpecies(particle, config) {
+        if (config.speciesMode === 'affinity') {
+            return particle.affinity === null ? 'none' : String.fromCharCode(65 + particle.affinity);
+        }
+        return particle.constructor.name === 'RodParticle' ? 'rod' : 'circle';
+    }
+    
+    /**
+     * Get the matrix key for a pair of species (the matrix is symmetric)
+     * @param {string} species1 - First species
+     * @param {string} species2 - Second species
+     * @returns {string} - Key into config.interactionMatrix
+     */
+    static getMatrixKey(species1, species2) {
+        return [species1, species2].sort().join('|');
+    }
+    
+    /**
+     * Get the key of a bond between two particles
+     * The IDs are ordered as strings, as the keys in saved snapshots are, but without
+     * building and sorting an array for every pair
+     * @param {number} id1 - ID of the first particle
+     * @param {number} id2 - ID of the second particle
+     * @returns {string} - 'id1-id2' key
+     */
+    static getConnectionKey(id1, id2) {
+        const key1 = String(id1);
+        const key2 = String(id2);
+        return key1 < key2 ? `${key1}-${key2}` : `${key2}-${key1}`;
+    }
+    
+    /**
+     * Get a numeric key for a pair of particle IDs, the same in either order
+     * Pairs the IDs along the triangle numbers, so it stays a small integer for IDs below 65535
+     * @param {number} id1 - ID of the first particle
+     * @param {number} id2 - ID of the second particle
+     * @returns {number} - Key unique to the pair
+     */
+    static getConnectionIndex(id1, id2) {
+        const low = Math.min(id1, id2);
+        const high = Math.max(id1, id2);
+        return high * (high + 1) / 2 + low;
+    }
+    
+    /**
+     * Get the settings for a pair, with any interaction matrix overrides applied
+     * @param {Particle} p1 - First particle
+     * @param {Particle} p2 - Second particle
+     * @param {object} config - Current simulation configuration
+     * @returns {object} - The configuration, or a copy with the pair's overrides
+     */
+    getPairConfig(p1, p2, config) {
+        if (!config.interactionMatrixEnabled) {
+            return config;
+        }
+        
+        const key = ForceSystem.getMatrixKey(this.getSpecies(p1, config), this.getSpecies(p2, config));
+        let pairConfig = this.pairConfigCache.get(key);
+        if (!pairConfig) {
+            const overrides = config.interactionMatrix[key];
+            pairConfig = overrides ? { ...config, ...overrides } : config;
+            this.pairConfigCache.set(key, pairConfig);
+        }
+        return pairConfig;
+    }
+    
+    /**
+     * Get the largest threshold distance used by any species pair
+     * @param {object} config - Current simulation configuration
+     * @returns {number} - Maximum threshold distance
+     */
+    getMaxThresholdDistance(config) {
+        let maxThreshold = config.thresholdDistance;
+        if (config.interactionMatrixEnabled) {
+            Object.values(config.interactionMatrix).forEach(overrides => {
+                if (overrides.thresholdDistance !== undefined) {
+                    maxThreshold = Math.max(maxThreshold, overrides.thresholdDistance);
+                }
+            });
+        }
+        return maxThreshold;
+    }
+    
+    /**
+     * Check whether two particles may form a cluster bond
+     * @param {Particle} p1 - First particle
+     * @param {Particle} p2 - Second particle
+     * @param {object} config - Current simulation configuration
+     * @returns {boolean} - True if the pair is allowed to bond
+     */
+    canBond(p1, p2, config) {
+        if (!config.affinityEnabled || !config.affinityBondCompatibleOnly) {
+            return true;
+        }
+        return p1.affinity === null || p2.affinity === null || p1.affinity === p2.affinity;
+    }
+    
+    /**
+     * Record a connection between two particles for this frame
+     * @param {number} id1 - ID of the first particle
+     * @param {number} id2 - ID of the second particle
+     */
+    addConnection(id1, id2) {
+        const index = ForceSystem.getConnectionIndex(id1, id2);
+        if (this.connectionIndices.has(index)) return;
+        
+        this.connectionIndices.add(index);
+        this.connectionIds.push(id1, id2);
+        this.connectionCounts.set(id1, (this.connectionCounts.get(id1) || 0) + 1);
+        this.connectionCounts.set(id2, (this.connectionCounts.get(id2) || 0) + 1);
     }
     
     /**
@@ -114,8 +642,15 @@ class ForceSystem {
      * @param {Particle} p1 - First particle
      * @param {Particle} p2 - Second particle
      * @param {object} config - Current simulation configuration
+     * @param {number} maxDistance - Optional distance beyond which the pair is skipped
      */
-    applyForceBetweenParticles(p1, p2, config) {
+    applyForceBetweenParticles(p1, p2, config, maxDistance = Infinity) {
+        // Use the coefficients and threshold for this pair's species
+        config = this.getPairConfig(p1, p2, config);
+        
+        // With periodic boundaries p2 interacts through its image nearest to p1
+        const imageShift = Boundary.getImageShift(p1.position, p2.position, config);
+        
         // Determine interaction points for both particles
         // For regular particles, this will be their center position
         // For rod particles, this will be the closest point (endpoint or center)
@@ -123,107 +658,52 @@ class ForceSystem {
         let p2InteractionPoint = p2.position;
         
         // Check if either particle is a RodParticle and get the appropriate interaction point
-        const isP1Rod = p1.constructor.name === 'RodParticle';
-        const isP2Rod = p2.constructor.name === 'RodParticle';
+        const isP1Rod = p1 instanceof RodParticle;
+        const isP2Rod = p2 instanceof RodParticle;
         
         if (isP1Rod) {
-            p1InteractionPoint = p1.getInteractionPoint(p2.position);
+            p1InteractionPoint = p1.getInteractionPoint(
+                imageShift ? backend.Vector.add(p2.position, imageShift) : p2.position
+            );
         }
         
         if (isP2Rod) {
-            p2InteractionPoint = p2.getInteractionPoint(p1.position);
+            p2InteractionPoint = p2.getInteractionPoint(
+                imageShift ? backend.Vector.sub(p1.position, imageShift) : p1.position
+            );
         }
         
         // Calculate distance between interaction points (not just centers)
-        const forceVector = p5.Vector.sub(p2InteractionPoint, p1InteractionPoint);
+        // Each interaction point stays in its own particle's frame for applying torque
+        const forceVector = backend.Vector.sub(p2InteractionPoint, p1InteractionPoint);
+        if (imageShift) {
+            forceVector.add(imageShift);
+        }
         const distance = forceVector.mag();
         
-        // Skip if interaction points are at the same position
-        if (distance === 0) return;
+        // Skip if interaction points are at the same position or out of range
+        if (distance === 0 || distance > maxDistance) return;
         
         // Normalize the force vector
         forceVector.normalize();
         
-        // Calculate force magnitude based on distance
-        let forceMagnitude = 0;
-        
-        // Check if particles should repulse based on the repulsion delay
-        const p1ShouldRepulse = p1.shouldRepulse === true;
-        const p2ShouldRepulse = p2.shouldRepulse === true;
-        
-        // Get cluster information
-        const p1ClusterId = this.particleClusterMap.get(p1.id);
-        const p2ClusterId = this.particleClusterMap.get(p2.id);
-        const p1ClusterShouldRepulse = p1ClusterId !== undefined && this.clusterRepulsionStates.get(p1ClusterId);
-        const p2ClusterShouldRepulse = p2ClusterId !== undefined && this.clusterRepulsionStates.get(p2ClusterId);
-        const sameCluster = p1ClusterId !== undefined && p1ClusterId === p2ClusterId;
-        
-        // Check if distance is greater than threshold (attraction) or less (repulsion)
-        if (distance > config.thresholdDistance) {
-            // Attractive force: F = k_a * (m1 * m2) / r^2
-            forceMagnitude = config.attractionCoefficient * (p1.mass * p2.mass) / (distance * distance);
-            
-            // Apply sticky force at very close distances
-            if (distance < config.thresholdDistance * 1.2) {
-                // Sticky force: F = k_s * (m1 * m2) / r^p
-                const stickyForceMagnitude = config.stickyForceCoefficient * 
-                    (p1.mass * p2.mass) / Math.pow(distance, config.stickyForcePower);
-                forceMagnitude += stickyForceMagnitude;
-            }
-        } else if (sameCluster && (p1ClusterShouldRepulse || p2ClusterShouldRepulse)) {
-            // For particles in the same cluster that should repulse,
-            // apply radial forces from cluster center
-            const clusterCenter = this.clusterCenters.get(p1ClusterId);
-            
-            if (clusterCenter) {
-                // Calculate radial directions from cluster center
-                const p1Direction = p5.Vector.sub(p1.position, clusterCenter).normalize();
-                const p2Direction = p5.Vector.sub(p2.position, clusterCenter).normalize();
-                
-                // Apply outward radial forces
-                const radialForceMagnitude = config.repulsionCoefficient * 0.5 * 
-                    (p1.mass * p2.mass) / (distance * distance);
-                
-                // For regular particles, apply force to center
-                // For rod particles, apply force at the interaction point
-                if (isP1Rod) {
-                    const radialForce = p5.Vector.mult(p1Direction, radialForceMagnitude);
-                    p1.applyForceAtPoint(radialForce, p1InteractionPoint);
-                } else {
-                    p1.applyForce(p5.Vector.mult(p1Direction, radialForceMagnitude));
-                }
-                
-                if (isP2Rod) {
-                    const radialForce = p5.Vector.mult(p2Direction, radialForceMagnitude);
-                    p2.applyForceAtPoint(radialForce, p2InteractionPoint);
-                } else {
-                    p2.applyForce(p5.Vector.mult(p2Direction, radialForceMagnitude));
-                }
-                
-                // Also apply a small repulsive force between particles
-                forceMagnitude = -config.repulsionCoefficient * 0.3 * 
-                    (p1.mass * p2.mass) / (distance * distance);
-            } else {
-                // Fallback if no cluster center is available
-                forceMagnitude = -config.repulsionCoefficient * 
-                    (p1.mass * p2.mass) / (distance * distance);
-            }
-        } else if (!sameCluster && (p1ClusterShouldRepulse || p2ClusterShouldRepulse)) {
-            // Repulsive force between different clusters
-            forceMagnitude = -config.repulsionCoefficient * 
-                (p1.mass * p2.mass) / (distance * distance);
-        } else {
-            // Otherwise, apply a weak attractive force to maintain the cluster
-            forceMagnitude = config.stickyForceCoefficient * 0.5 * 
-                (p1.mass * p2.mass) / Math.pow(distance, config.stickyForcePower);
-        }
-        
-        // Scale the force vector by the calculated magnitude (for non-radial forces)
-        const finalForce = p5.Vector.mult(forceVector, forceMagnitude);
+        // Get the force magnitude from the active force law
+        const pair = {
+            system: this,
+            p1Point: p1InteractionPoint,
+            p2Point: p2InteractionPoint,
+            isP1Rod: isP1Rod,
+            isP2Rod: isP2Rod,
+            affinityFactor: this.getAffinityFactor(p1, p2, config) // Scales the law's attractive terms
+        };
+        const forceMagnitude = this.getForceLaw(config).force(distance, p1, p2, config, pair);
         
         // Apply the force to both particles (equal and opposite)
-        // Skip if we already applied radial forces
-        if (!(sameCluster && (p1ClusterShouldRepulse || p2ClusterShouldRepulse) && this.clusterCenters.get(p1ClusterId))) {
+        // Skip if the law applied its own forces instead
+        if (forceMagnitude !== null) {
+            // Scale the force vector by the calculated magnitude
+            const finalForce = backend.Vector.mult(forceVector, forceMagnitude);
+            
             // For rod particles, apply force at the interaction point to generate torque
             // For regular particles, apply force at the center
             if (isP1Rod) {
@@ -233,7 +713,7 @@ class ForceSystem {
             }
             
             // Apply equal and opposite force to the second particle
-            const oppositeForce = p5.Vector.mult(finalForce, -1);
+            const oppositeForce = backend.Vector.mult(finalForce, -1);
             if (isP2Rod) {
                 p2.applyForceAtPoint(oppositeForce, p2InteractionPoint);
             } else {
@@ -242,11 +722,9 @@ class ForceSystem {
         }
         
         // Check if particles are close enough to be considered in a cluster
-        if (distance < config.thresholdDistance * 0.8) {
-            // Create a unique cluster identifier using particle indices
-            // Sort the indices to ensure the same cluster has the same ID regardless of order
-            const clusterID = [p1.id, p2.id].sort().join('-');
-            this.currentClusters.add(clusterID);
+        if (this.recordingClusters && this.isClusterDistance(distance, config) && this.canBond(p1, p2, config)) {
+            // Record the connection using a unique identifier built from the particle IDs
+            this.addConnection(p1.id, p2.id);
             
             // Count particles in this cluster (approximate)
             const clusterSize = this.getApproximateClusterSize(p1.id, p2.id);
@@ -268,6 +746,113 @@ class ForceSystem {
         }
     }
     
+    /**
+     * Get the force magnitude of the threshold law
+     * Attraction and sticky forces beyond the threshold, repulsion-delay and
+     * cluster-maintaining forces inside it, blended by the transition profile
+     * @param {number} distance - Distance between the interaction points
+     * @param {Particle} p1 - First particle
+     * @param {Particle} p2 - Second particle
+     * @param {object} config - Configuration for the pair
+     * @param {object} pair - Interaction points and rod flags for the pair
+     * @returns {number|null} - Force magnitude, or null if radial forces were applied instead
+     */
+    getThresholdForce(distance, p1, p2, config, pair) {
+        // Check if particles should repulse based on the repulsion delay
+        const p1ShouldRepulse = p1.shouldRepulse === true;
+        const p2ShouldRepulse = p2.shouldRepulse === true;
+        
+        // Get cluster information
+        const p1ClusterId = this.particleClusterMap.get(p1.id);
+        const p2ClusterId = this.particleClusterMap.get(p2.id);
+        const p1ClusterShouldRepulse = p1ClusterId !== undefined && this.clusterRepulsionStates.get(p1ClusterId);
+        const p2ClusterShouldRepulse = p2ClusterId !== undefined && this.clusterRepulsionStates.get(p2ClusterId);
+        const sameCluster = p1ClusterId !== undefined && p1ClusterId === p2ClusterId;
+        
+        // Attractive terms are scaled (or flipped) by the pair's affinities
+        const affinityFactor = pair.affinityFactor;
+        
+        // Blend the attractive regime (beyond the threshold) with the inner regime
+        // (repulsion or cluster maintenance) using the transition profile;
+        // with the step profile exactly one of them applies
+        const attractionWeight = this.getTransitionWeight(distance, config.thresholdDistance, config);
+        const innerWeight = 1 - attractionWeight;
+        let attractiveMagnitude = 0;
+        let innerMagnitude = 0;
+        
+        // Same-cluster pairs in a repulsing cluster get radial forces instead of a pair force
+        const radialRepulsion = sameCluster && (p1ClusterShouldRepulse || p2ClusterShouldRepulse) &&
+            this.clusterCenters.get(p1ClusterId) !== undefined;
+        
+        if (attractionWeight > 0) {
+            // Attractive force: F = k_a * (m1 * m2) / r^2
+            attractiveMagnitude = config.attractionCoefficient * (p1.mass * p2.mass) / (distance * distance);
+            
+            // Apply sticky force at very close distances, fading out around 1.2x the threshold
+            const stickyWeight = 1 - this.getTransitionWeight(distance, config.thresholdDistance * 1.2, config);
+            if (stickyWeight > 0) {
+                // Sticky force: F = k_s * (m1 * m2) / r^p
+                const stickyForceMagnitude = config.stickyForceCoefficient * 
+                    (p1.mass * p2.mass) / Math.pow(distance, config.stickyForcePower);
+                attractiveMagnitude += stickyWeight * stickyForceMagnitude;
+            }
+            
+            attractiveMagnitude *= affinityFactor;
+        }
+        
+        if (innerWeight > 0) {
+            if (sameCluster && (p1ClusterShouldRepulse || p2ClusterShouldRepulse)) {
+                // For particles in the same cluster that should repulse,
+                // apply radial forces from cluster center
+                const clusterCenter = this.clusterCenters.get(p1ClusterId);
+                
+                if (clusterCenter) {
+                    // Calculate radial directions from cluster center
+                    const p1Direction = Boundary.displacement(clusterCenter, p1.position, config).normalize();
+                    const p2Direction = Boundary.displacement(clusterCenter, p2.position, config).normalize();
+                    
+                    // Apply outward radial forces
+                    const radialForceMagnitude = innerWeight * config.repulsionCoefficient * 0.5 * 
+                        (p1.mass * p2.mass) / (distance * distance);
+                    
+                    // For regular particles, apply force to center
+                    // For rod particles, apply force at the interaction point
+                    if (pair.isP1Rod) {
+                        const radialForce = backend.Vector.mult(p1Direction, radialForceMagnitude);
+                        p1.applyForceAtPoint(radialForce, pair.p1Point);
+                    } else {
+                        p1.applyForce(backend.Vector.mult(p1Direction, radialForceMagnitude));
+                    }
+                    
+                    if (pair.isP2Rod) {
+                        const radialForce = backend.Vector.mult(p2Direction, radialForceMagnitude);
+                        p2.applyForceAtPoint(radialForce, pair.p2Point);
+                    } else {
+                        p2.applyForce(backend.Vector.mult(p2Direction, radialForceMagnitude));
+                    }
+                } else {
+                    // Fallback if no cluster center is available
+                    innerMagnitude = -config.repulsionCoefficient * 
+                        (p1.mass * p2.mass) / (distance * distance);
+                }
+            } else if (!sameCluster && (p1ClusterShouldRepulse || p2ClusterShouldRepulse)) {
+                // Repulsive force between different clusters
+                innerMagnitude = -config.repulsionCoefficient * 
+                    (p1.mass * p2.mass) / (distance * distance);
+            } else {
+                // Otherwise, apply a weak attractive force to maintain the cluster
+                innerMagnitude = affinityFactor * config.stickyForceCoefficient * 0.5 * 
+                    (p1.mass * p2.mass) / Math.pow(distance, config.stickyForcePower);
+            }
+        }
+        
+        // Combine the weighted regimes (radial forces replace the pair force)
+        if (radialRepulsion) {
+            return null;
+        }
+        return attractionWeight * attractiveMagnitude + innerWeight * innerMagnitude;
+    }
+    
     /**
      * Get an approximate size of a cluster containing the given particles
      * @param {number} id1 - ID of the first particle
@@ -275,15 +860,11 @@ class ForceSystem {
      * @returns {number} - Approximate size of the cluster
      */
     getApproximateClusterSize(id1, id2) {
-        // Count how many clusters contain either of these particles
-        let count = 0;
-        
-        // Check all current clusters for connections to these particles
-        for (const clusterId of this.currentClusters) {
-            const particleIds = clusterId.split('-').map(id => parseInt(id));
-            if (particleIds.includes(id1) || particleIds.includes(id2)) {
-                count++;
-            }
+        // Count how many connections contain either of these particles,
+        // without counting the connection between them twice
+        let count = (this.connectionCounts.get(id1) || 0) + (this.connectionCounts.get(id2) || 0);
+        if (this.connectionIndices.has(ForceSystem.getConnectionIndex(id1, id2))) {
+            count--;
         }
         
         // Return count + 1 (the two particles themselves form a cluster)
@@ -293,8 +874,9 @@ class ForceSystem {
     /**
      * Identify distinct clusters of particles based on their connections
      * @param {Array} particles - Array of all particles in the simulation
+     * @param {object} config - Current simulation configuration
      */
-    identifyDistinctClusters(particles) {
+    identifyDistinctClusters(particles, config) {
         // Use a disjoint-set data structure to identify connected components (clusters)
         const particleCount = particles.length;
         const parent = new Array(particleCount).fill().map((_, i) => i); // Each particle starts in its own set
@@ -313,9 +895,8 @@ class ForceSystem {
         };
         
         // Process all connections to build the disjoint sets
-        for (const connection of this.currentClusters) {
-            const [id1, id2] = connection.split('-').map(id => parseInt(id));
-            union(id1, id2);
+        for (let c = 0; c < this.connectionIds.length; c += 2) {
+            union(this.connectionIds[c], this.connectionIds[c + 1]);
         }
         
         // Count distinct clusters and their sizes
@@ -343,22 +924,30 @@ class ForceSystem {
             this.clusterSizes.set(index, clusterSize);
             
             // Calculate cluster center
+            // Members are averaged as offsets from the first one, so a cluster
+            // spanning a periodic edge is not averaged across the whole area
+            const reference = particles[cluster[0]].position;
             let centerX = 0;
             let centerY = 0;
             let validParticles = 0;
             
             for (const particleId of cluster) {
                 if (particleId >= 0 && particleId < particles.length) {
-                    centerX += particles[particleId].position.x;
-                    centerY += particles[particleId].position.y;
+                    const offset = Boundary.displacement(reference, particles[particleId].position, config);
+                    centerX += offset.x;
+                    centerY += offset.y;
                     validParticles++;
                 }
             }
             
             if (validParticles > 0) {
-                centerX /= validParticles;
-                centerY /= validParticles;
-                this.clusterCenters.set(index, createVector(centerX, centerY));
+                centerX = reference.x + centerX / validParticles;
+                centerY = reference.y + centerY / validParticles;
+                if (Boundary.isPeriodic(config)) {
+                    centerX = Boundary.wrapCoordinate(centerX, config.canvasWidth);
+                    centerY = Boundary.wrapCoordinate(centerY, config.canvasHeight);
+                }
+                this.clusterCenters.set(index, backend.createVector(centerX, centerY));
             }
             
             // Update each particle with its cluster info
@@ -376,6 +965,48 @@ class ForceSystem {
                 }
             });
         });
+        
+        // Match the clusters to the previous frame's for their persistent IDs and lifecycle events
+        const centers = realClusters.map((_, index) => this.clusterCenters.get(index) || null);
+        this.clusterIds = this.clusterTracker.update(realClusters, centers);
+    }
+    
+    /**
+     * Get the state carried from one frame to the next
+     * Everything else is rebuilt at the start of applyForces
+     * @returns {object} - Plain, JSON-serializable state
+     */
+    getState() {
+        return {
+            previousClusters: Array.from(this.previousClusters),
+            clusterTracker: this.clusterTracker.getState()
+        };
+    }
+    
+    /**
+     * Restore the state written by getState
+     * @param {object} state - State to restore
+     */
+    setState(state) {
+        this.previousClusters = new Set(state.previousClusters || []);
+        this.clusterTracker.setState(state.clusterTracker || {});
+    }
+    
+    /**
+     * Renumber the particle IDs in the frame-to-frame state
+     * Called when particles are removed, so IDs keep matching array indices
+     * @param {Map<number, number>} idMap - Old ID to new ID; IDs missing from the map were removed
+     */
+    remapParticleIds(idMap) {
+        const remapped = new Set();
+        for (const connection of this.previousClusters) {
+            const [id1, id2] = connection.split('-').map(id => idMap.get(parseInt(id)));
+            if (id1 !== undefined && id2 !== undefined) {
+                remapped.add(ForceSystem.getConnectionKey(id1, id2));
+            }
+        }
+        this.previousClusters = remapped;
+        this.clusterTracker.remapParticleIds(idMap);
     }
     
     /**
@@ -400,6 +1031,102 @@ class ForceSystem {
         return this.clusterSizes.get(clusterIndex) || 0;
     }
     
+    /**
+     * Get the persistent ID of the cluster containing the given particle
+     * Unlike cluster indices, which are renumbered every frame, the ID follows the
+     * cluster for as long as it exists
+     * @param {number} particleId - ID of the particle
+     * @returns {number|null} - Cluster ID, or null if not in a cluster
+     */
+    getClusterId(particleId) {
+        return this.clusterTracker.getClusterId(particleId);
+    }
+    
+    /**
+     * Get the record of a cluster (birth, age, peak size and member history)
+     * @param {number} clusterId - Persistent cluster ID
+     * @returns {object|null} - The record, or null if unknown
+     */
+    getClusterRecord(clusterId) {
+        return this.clusterTracker.getRecord(clusterId);
+    }
+    
+    /**
+     * Get the records of the clusters in the current frame
+     * @returns {Array<object>} - Records in order of ID
+     */
+    getActiveClusterRecords() {
+        return this.clusterTracker.getActiveRecords();
+    }
+    
+    /**
+     * Get the latest cluster lifecycle events (formed, grew, merged, split, repulsion, dissolved)
+     * @returns {Array<object>} - Events, oldest first
+     */
+    getClusterEvents() {
+        return this.clusterTracker.getEvents();
+    }
+    
+    /**
+     * Measure the shape of every current cluster (see ClusterMetrics)
+     * @param {Array} particles - Array of all particles in the simulation
+     * @param {object} config - Current simulation configuration
+     * @returns {Array<object>} - Metrics with the cluster's persistent ID (clusterId), in order of ID
+     */
+    getClusterMetrics(particles, config) {
+        return this.getActiveClusterRecords().map(record => {
+            const members = record.members
+                .filter(particleId => particleId < particles.length)
+                .map(particleId => particles[particleId]);
+            return Object.assign({ clusterId: record.id }, ClusterMetrics.measure(members, config));
+        });
+    }
+    
+    /**
+     * Analyse the rod orientation of every current cluster with at least two rods (see OrientationAnalysis)
+     * @param {Array} particles - Array of all particles in the simulation
+     * @param {object} config - Current simulation configuration
+     * @returns {Array<object>} - Orientation with the cluster's persistent ID (clusterId), in order of ID
+     */
+    getClusterOrientations(particles, config) {
+        const orientations = [];
+        for (const record of this.getActiveClusterRecords()) {
+            const rods = record.members
+                .filter(particleId => particleId < particles.length && particles[particleId] instanceof RodParticle)
+                .map(particleId => particles[particleId]);
+            if (rods.length < 2 || !record.center) continue;
+            
+            orientations.push(Object.assign({ clusterId: record.id },
+                OrientationAnalysis.analyzeCluster(rods, record.center, config)));
+        }
+        return orientations;
+    }
+    
+    /**
+     * Get the contact network of the latest step (see ContactNetwork)
+     * Built from previousClusters, which holds the latest step's bonds and, unlike
+     * currentClusters, follows snapshot restores and particle removals
+     * @param {Array} particles - Array of all particles in the simulation
+     * @returns {ContactNetwork} - The bond graph
+     */
+    getContactNetwork(particles) {
+        return new ContactNetwork(this.previousClusters, particles.length);
+    }
+    
+    /**
+     * Get the graph metrics of every current cluster
+     * @param {Array} particles - Array of all particles in the simulation
+     * @param {ContactNetwork} network - Contact network (built if not given)
+     * @returns {Array<object>} - Metrics with the cluster's persistent ID (clusterId), in order of ID
+     */
+    getClusterGraphMetrics(particles, network = null) {
+        network = network || this.getContactNetwork(particles);
+        return this.getActiveClusterRecords().map(record => {
+            const members = record.members.filter(particleId => particleId < particles.length);
+            return Object.assign({ clusterId: record.id }, network.getGraphMetrics(members));
+        });
+    }
+    
     /**
      * Get the center position of a cluster
      * @param {number} clusterId - ID of the cluster
@@ -0,0 +1,172 @@
+/**
+ * Force law module
+ * Registry of named pair force laws used by the ForceSystem
+ *
+ * A force law is an object with:
+ *   name        - Unique identifier (stored in config.forceLaw)
+ *   label       - Display name
+ *   parameters  - Parameter schema: [{ key, label, min, max, step, default }]; each key is a
+ *                 top-level setting (prefixed to avoid clashes). The built-in laws have their
+ *                 defaults in config.js; other laws give a default in the schema
+ *   force(r, p1, p2, config, pair) - Force magnitude along the line between the interaction
+ *                 points (positive attracts, negative repels, null applies no pair force).
+ *                 pair.affinityFactor should scale the law's attractive term, so opposing
+ *                 affinities can repel
+ *   energy(r, p1, p2, config, pair) - Optional pair potential energy, with the attractive term
+ *                 scaled the same way so the force stays its derivative
+ *   range(config)                  - Optional distance beyond which the law is truncated
+ */
+class ForceLawRegistry {
+    /**
+     * Create an empty registry
+     */
+    constructor() {
+        this.laws = new Map();
+    }
+
+    /**
+     * Register a force law (replaces any law with the same name)
+     * @param {object} law - Force law definition
+     * @returns {object} - The registered law
+     */
+    register(law) {
+        if (!law || typeof law.name !== 'string' || typeof law.force !== 'function') {
+            throw new Error('A force law needs a name and a force(r, p1, p2, config) function');
+        }
+
+        const registered = Object.assign({ label: law.name, parameters: [] }, law);
+        this.laws.set(registered.name, registered);
+        return registered;
+    }
+
+    /**
+     * Get a registered force law
+     * @param {string} name - Law name
+     * @returns {object|undefined} - The law, if registered
+     */
+    get(name) {
+        return this.laws.get(name);
+    }
+
+    /**
+     * Get all registered force laws in registration order
+     * @returns {Array<object>} - Registered laws
+     */
+    list() {
+        return Array.from(this.laws.values());
+    }
+
+    /**
+     * Get settings that include every parameter of a law
+     * @param {object} law - Force law
+     * @param {object} settings - Current settings
+     * @returns {object} - The settings, or a copy with the missing defaults filled in
+     */
+    static withDefaults(law, settings) {
+        const missing = law.parameters.filter(parameter => settings[parameter.key] === undefined);
+        if (missing.length === 0) {
+            return settings;
+        }
+
+        const filled = { ...settings };
+        missing.forEach(parameter => {
+            filled[parameter.key] = parameter.default;
+        });
+        return filled;
+    }
+}
+
+// Create the registry singleton and the built-in laws
+const forceLaws = new ForceLawRegistry();
+
+// Threshold law: attraction, sticky and repulsion-delay regimes around thresholdDistance
+// Its settings live in Force Controls, and it needs the cluster state held by the ForceSystem
+forceLaws.register({
+    name: 'threshold',
+    label: 'Threshold',
+    parameters: [],
+    force: (r, p1, p2, config, pair) => pair.system.getThresholdForce(r, p1, p2, config, pair)
+});
+
+// Lennard-Jones: U = 4ε((σ/r)^12 - (σ/r)^6), truncated at 2.5σ
+forceLaws.register({
+    name: 'lennardJones',
+    label: 'Lennard-Jones',
+    parameters: [
+        { key: 'ljEpsilon', label: 'Well Depth (ε)', min: 0, max: 5, step: 0.05 },
+        { key: 'ljSigma', label: 'Size (σ)', min: 5, max: 100, step: 1 }
+    ],
+    force: (r, p1, p2, config, pair) => {
+        // The r^-6 term attracts, the r^-12 term repels
+        const sr6 = Math.pow(config.ljSigma / r, 6);
+        return 24 * config.ljEpsilon * (pair.affinityFactor * sr6 - 2 * sr6 * sr6) / r;
+    },
+    energy: (r, p1, p2, config, pair) => {
+        const sr6 = Math.pow(config.ljSigma / r, 6);
+        return 4 * config.ljEpsilon * (sr6 * sr6 - pair.affinityFactor * sr6);
+    },
+    range: (config) => config.ljSigma * 2.5
+});
+
+// Morse: U = D(1 - e^(-a(r - r0)))^2 - D, truncated where the well has decayed
+forceLaws.register({
+    name: 'morse',
+    label: 'Morse',
+    parameters: [
+        { key: 'morseDepth', label: 'Well Depth (D)', min: 0, max: 5, step: 0.05 },
+        { key: 'morseWidth', label: 'Well Stiffness (a)', min: 0.01, max: 0.5, step: 0.01 },
+        { key: 'morseEquilibrium', label: 'Equilibrium Distance (r₀)', min: 5, max: 150, step: 1 }
+    ],
+    force: (r, p1, p2, config, pair) => {
+        // The single exponential attracts, the squared one repels
+        const decay = Math.exp(-config.morseWidth * (r - config.morseEquilibrium));
+        return 2 * config.morseDepth * config.morseWidth * decay * (pair.affinityFactor - decay);
+    },
+    energy: (r, p1, p2, config, pair) => {
+        // D((1 - e)^2 - 1) = D(e^2 - 2e), with the single exponential scaled
+        const decay = Math.exp(-config.morseWidth * (r - config.morseEquilibrium));
+        return config.morseDepth * (decay * decay - 2 * pair.affinityFactor * decay);
+    },
+    range: (config) => config.morseEquilibrium + 6 / config.morseWidth
+});
+
+// Yukawa (screened Coulomb): U = A e^(-κr) / r; positive A repels, negative A attracts
+forceLaws.register({
+    name: 'yukawa',
+    label: 'Yukawa',
+    parameters: [
+        { key: 'yukawaStrength', label: 'Strength (A)', min: -200, max: 200, step: 1 },
+        { key: 'yukawaScreening', label: 'Screening (κ)', min: 0.005, max: 0.5, step: 0.005 }
+    ],
+    force: (r, p1, p2, config, pair) => {
+        // Only an attractive (negative) strength is scaled by affinity
+        const kappaR = config.yukawaScreening * r;
+        const strength = config.yukawaStrength < 0 ?
+            config.yukawaStrength * pair.affinityFactor :
+            config.yukawaStrength;
+        return -strength * Math.exp(-kappaR) * (1 + kappaR) / (r * r);
+    },
+    energy: (r, p1, p2, config, pair) => {
+        const strength = config.yukawaStrength < 0 ?
+            config.yukawaStrength * pair.affinityFactor :
+            config.yukawaStrength;
+        return strength * Math.exp(-config.yukawaScreening * r) / r;
+    },
+    range: (config) => 8 / config.yukawaScreening
+});
+
+// Soft harmonic repulsion: U = k/2 (R - r)^2 for r < R (no attractive term, so affinity has no effect)
+forceLaws.register({
+    name: 'softHarmonic',
+    label: 'Soft Harmonic',
+    parameters: [
+        { key: 'harmonicStiffness', label: 'Stiffness (k)', min: 0, max: 0.5, step: 0.005 },
+        { key: 'harmonicRange', label: 'Contact Distance (R)', min: 5, max: 150, step: 1 }
+    ],
+    force: (r, p1, p2, config) => (r < config.harmonicRange ? -config.harmonicStiffness * (config.harmonicRange - r) : 0),
+    energy: (r, p1, p2, config) => {
+        const overlap = Math.max(config.harmonicRange - r, 0);
+        return 0.5 * config.harmonicStiffness * overlap * overlap;
+    },
+    range: (config) => config.harmonicRange
+});
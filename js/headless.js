@@ -0,0 +1,144 @@
+/**
+ * Headless entry point for the Particle Clustering Simulation
+ * Loads the simulation core under plain Node, without p5.js or a browser page
+ *
+ * The core files are plain browser scripts that share one global scope, so they
+ * are evaluated in order inside a single VM context, the same way index.html loads them.
+ * The context's built-ins are bound as script-scope constants first: looking up a global
+ * such as Math inside a VM context goes through the context object and is many times
+ * slower than on a page, which made the force loops several times slower headless.
+ *
+ * Example:
+ *   const { createSimulation } = require('./js/headless.js');
+ *   const simulation = createSimulation({ particleCount: 200, thresholdDistance: 40 });
+ *   simulation.start();
+ *   for (let i = 0; i < 1000; i++) simulation.update();
+ *   console.log(simulation.getStats());
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Core scripts in dependency order (matches index.html)
+const CORE_SCRIPTS = [
+    'random.js', // Before config.js, whose defaults draw the seed
+    'config.js',
+    'backend.js',
+    'boundary.js',
+    'particle.js',
+    'RodParticle.js',
+    'spatialGrid.js',
+    'quadTree.js',
+    'transition.js',
+    'forceLaws.js',
+    'clusterTracker.js',
+    'clusterMetrics.js',
+    'orientation.js',
+    'pairCorrelation.js',
+    'contactNetwork.js',
+    'force.js',
+    'integrator.js',
+    'statsRecorder.js',
+    'trajectoryRecorder.js',
+    'histogram.js',
+    'particleFactory.js',
+    'simulation.js',
+    'scenario.js'
+];
+
+// Names exposed from the core's global scope
+const CORE_EXPORTS = [
+    'Config',
+    'config',
+    'Vector2D',
+    'SimulationBackend',
+    'backend',
+    'SeededRandom',
+    'Boundary',
+    'Particle',
+    'RodParticle',
+    'SpatialGrid',
+    'QuadTree',
+    'TransitionProfile',
+    'ForceLawRegistry',
+    'forceLaws',
+    'ClusterTracker',
+    'ClusterMetrics',
+    'OrientationAnalysis',
+    'PairCorrelation',
+    'ContactNetwork',
+    'ForceSystem',
+    'Integrator',
+    'StatsRecorder',
+    'TrajectoryRecorder',
+    'Histogram',
+    'ParticleFactory',
+    'SimulationManager',
+    'ScenarioFile'
+];
+
+/**
+ * Bind the built-ins of a VM context (Math, Map, Number, ...) as script-scope constants
+ * Later scripts in the context resolve them lexically instead of through the context object
+ * @param {object} context - Contextified object from vm.createContext
+ */
+function bindBuiltins(context) {
+    const names = vm.runInContext(`Object.getOwnPropertyNames(globalThis).filter(name =>
+        /^[A-Za-z_$][\\w$]*$/.test(name) && name !== 'eval' && name !== 'globalThis' &&
+        Object.getOwnPropertyDescriptor(globalThis, name).configurable)`, context);
+    const source = names.map(name => `const ${name} = globalThis.${name};`).join('\n');
+    vm.runInContext(source, context, { filename: 'headless-builtins.js' });
+}
+
+/**
+ * Load a fresh copy of the simulation core
+ * Every call returns an isolated core with its own config and backend singletons
+ * @param {Object} options - Loading options
+ * @param {object} options.console - Console used by the core (debug logging is muted by default)
+ * @param {object} options.backend - Optional backend implementation to use instead of the default
+ * @returns {object} - The core classes and singletons
+ */
+function loadCore(options = {}) {
+    const coreConsole = options.console || {
+        log() {},
+        info() {},
+        warn: console.warn.bind(console),
+        error: console.error.bind(console)
+    };
+
+    const context = vm.createContext({ console: coreConsole });
+    bindBuiltins(context);
+    for (const script of CORE_SCRIPTS) {
+        const filename = path.join(__dirname, script);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename: filename });
+    }
+
+    const core = vm.runInContext(`({ ${CORE_EXPORTS.join(', ')} })`, context);
+    if (options.backend) {
+        core.backend.use(options.backend);
+    }
+    return core;
+}
+
+/**
+ * Create and initialize a headless simulation
+ * @param {Object} settings - Settings applied on top of the defaults
+ * @param {Object} options - Loading options (see loadCore)
+ * @returns {SimulationManager} - An initialized, paused simulation manager
+ */
+function createSimulation(settings = {}, options = {}) {
+    const core = loadCore(options);
+    Object.entries(settings).forEach(([key, value]) => {
+        core.config.updateSetting(key, value);
+    });
+
+    const simulation = new core.SimulationManager(core.config);
+    simulation.initialize();
+    return simulation;
+}
+
+module.exports = {
+    CORE_SCRIPTS,
+    loadCore,
+    createSimulation
+};
@@ -0,0 +1,132 @@
+/**
+ * Histogram module
+ * Bin edges and counts for distributions such as cluster sizes and particle masses
+ */
+class Histogram {
+    /**
+     * Most bins chosen by the automatic binning
+     */
+    static get MAX_AUTO_BINS() {
+        return 50;
+    }
+
+    /**
+     * Get bin edges that cover the values
+     * Automatic binning uses the Freedman-Diaconis width (Sturges' rule when the
+     * interquartile range is zero), measured in log10 for a log scale.
+     * Integer data gets edges on whole numbers, so every bin holds at least one integer
+     * @param {Array<number>} values - Values to cover (positive for a log scale)
+     * @param {object} options - { scale: 'linear' or 'log', bins: count (0 = automatic), integer: boolean }
+     * @returns {Array<number>} - Increasing edges; bin i is [edges[i], edges[i + 1])
+     */
+    static getEdges(values, options = {}) {
+        const log = options.scale === 'log';
+        const integer = !!options.integer;
+        const usable = log ? values.filter(value => value > 0) : values;
+        if (usable.length === 0) {
+            return [];
+        }
+
+        // A loop rather than Math.min(...values): averaged samples can be too many to spread
+        let min = Infinity;
+        let max = -Infinity;
+        for (const value of usable) {
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        if (integer) {
+            max += 1; // Bins are [a, b), so the largest integer needs room
+        } else if (max === min) {
+            max = min + 1;
+        }
+
+        // Work in the axis coordinate
+        const toAxis = log ? Math.log10 : (value) => value;
+        const fromAxis = log ? (value) => Math.pow(10, value) : (value) => value;
+        const low = toAxis(min);
+        const high = toAxis(max);
+
+        const count = options.bins > 0 ?
+            Math.round(options.bins) :
+            Histogram.getAutoBinCount(usable.map(toAxis), high - low);
+
+        let edges = [];
+        for (let i = 0; i <= count; i++) {
+            edges.push(fromAxis(low + (high - low) * i / count));
+        }
+        if (integer) {
+            // Whole-number edges, dropping the ones that round together
+            edges = edges.map(edge => Math.round(edge))
+                .filter((edge, i, all) => i === 0 || edge > all[i - 1]);
+        }
+        // Exact ends, free of log10 round-off
+        edges[0] = min;
+        edges[edges.length - 1] = max;
+        return edges;
+    }
+
+    /**
+     * Get the automatic number of bins for values spanning a range
+     * @param {Array<number>} values - Values in the axis coordinate
+     * @param {number} range - Width of the covered range
+     * @returns {number} - Number of bins (1 to MAX_AUTO_BINS)
+     */
+    static getAutoBinCount(values, range) {
+        const n = values.length;
+        const sorted = values.slice().sort((a, b) => a - b);
+        const quantile = (q) => sorted[Math.min(n - 1, Math.floor(q * n))];
+        const iqr = quantile(0.75) - quantile(0.25);
+
+        let count;
+        if (iqr > 0 && range > 0) {
+            const width = 2 * iqr / Math.cbrt(n);
+            count = Math.ceil(range / width);
+        } else {
+            count = Math.ceil(Math.log2(n)) + 1;
+        }
+        return Math.min(Math.max(count, 1), Histogram.MAX_AUTO_BINS);
+    }
+
+    /**
+     * Count the values in each bin
+     * Values outside the edges are ignored
+     * @param {Array<number>} values - Values to count
+     * @param {Array<number>} edges - Bin edges from getEdges
+     * @returns {Array<number>} - One count per bin
+     */
+    static count(values, edges) {
+        const counts = new Array(Math.max(edges.length - 1, 0)).fill(0);
+        for (const value of values) {
+            const bin = Histogram.findBin(value, edges);
+            if (bin >= 0) {
+                counts[bin]++;
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * Find the bin containing a value
+     * @param {number} value - The value
+     * @param {Array<number>} edges - Bin edges
+     * @returns {number} - Bin index, or -1 if outside the edges
+     */
+    static findBin(value, edges) {
+        if (edges.length < 2 || value < edges[0] || value > edges[edges.length - 1]) {
+            return -1;
+        }
+
+        // Binary search for the last edge not above the value; the top edge belongs to the last bin
+        let low = 0;
+        let high = edges.length - 2;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (edges[middle] <= value) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    }
+}
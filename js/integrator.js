@@ -0,0 +1,194 @@
+/**
+ * Integrator module
+ * Time integration schemes for the linear and angular particle motion
+ */
+class Integrator {
+    /**
+     * Available integration methods and their display names
+     */
+    static get METHODS() {
+        return {
+            symplecticEuler: 'Symplectic Euler',
+            velocityVerlet: 'Velocity Verlet',
+            rk4: 'RK4'
+        };
+    }
+
+    /**
+     * Advance every particle by one time step
+     * The forces for the current positions must already be applied; methods with
+     * intermediate stages call evaluateForces to recompute them at the stage positions
+     * @param {string} method - Integration method (see METHODS)
+     * @param {Array} particles - Array of all particles in the simulation
+     * @param {object} config - Current simulation configuration
+     * @param {function} evaluateForces - Recomputes the accelerations at the current positions
+     */
+    static step(method, particles, config, evaluateForces) {
+        switch (method) {
+            case 'velocityVerlet':
+                Integrator.velocityVerlet(particles, config, evaluateForces);
+                break;
+            case 'rk4':
+                Integrator.rk4(particles, config, evaluateForces);
+                break;
+            default:
+                // Symplectic (semi-implicit) Euler is built into the particle update
+                for (const particle of particles) {
+                    particle.update(config);
+                }
+                return;
+        }
+
+        for (const particle of particles) {
+            particle.completeStep(config);
+        }
+    }
+
+    /**
+     * Velocity Verlet (kick-drift-kick), with one extra force evaluation per step
+     * @param {Array} particles - Array of all particles in the simulation
+     * @param {object} config - Current simulation configuration
+     * @param {function} evaluateForces - Recomputes the accelerations at the current positions
+     */
+    static velocityVerlet(particles, config, evaluateForces) {
+        const dt = config.timeStep;
+
+        // Half kick with the current forces, then drift
+        for (const particle of particles) {
+            const state = Integrator.readKinematics(particle);
+            const derivative = Integrator.getDerivative(particle, config);
+
+            // Velocities (vx, vy, angular velocity)
+            for (const j of [2, 3, 5]) {
+                state[j] += 0.5 * derivative[j] * dt;
+            }
+            state[0] += state[2] * dt;
+            state[1] += state[3] * dt;
+            state[4] += state[5] * dt;
+            Integrator.writeKinematics(particle, state);
+        }
+
+        // Second half kick with the forces at the new positions
+        evaluateForces();
+        for (const particle of particles) {
+            const state = Integrator.readKinematics(particle);
+            const derivative = Integrator.getDerivative(particle, config);
+            for (const j of [2, 3, 5]) {
+                state[j] += 0.5 * derivative[j] * dt;
+            }
+            Integrator.writeKinematics(particle, state);
+        }
+    }
+
+    /**
+     * Classical fourth-order Runge-Kutta, with three extra force evaluations per step
+     * @param {Array} particles - Array of all particles in the simulation
+     * @param {object} config - Current simulation configuration
+     * @param {function} evaluateForces - Recomputes the accelerations at the current positions
+     */
+    static rk4(particles, config, evaluateForces) {
+        const dt = config.timeStep;
+        const initial = particles.map(particle => Integrator.readKinematics(particle));
+
+        // Move every particle to initial + h * k and get the derivatives there
+        const evaluateStage = (k, h) => {
+            particles.forEach((particle, i) => {
+                Integrator.writeKinematics(particle, initial[i].map((value, j) => value + h * k[i][j]));
+            });
+            evaluateForces();
+            return particles.map(particle => Integrator.getDerivative(particle, config));
+        };
+
+        const k1 = particles.map(particle => Integrator.getDerivative(particle, config));
+        const k2 = evaluateStage(k1, dt / 2);
+        const k3 = evaluateStage(k2, dt / 2);
+        const k4 = evaluateStage(k3, dt);
+
+        particles.forEach((particle, i) => {
+            Integrator.writeKinematics(particle, initial[i].map((value, j) =>
+                value + dt / 6 * (k1[i][j] + 2 * k2[i][j] + 2 * k3[i][j] + k4[i][j])
+            ));
+        });
+    }
+
+    /**
+     * Get the largest step that keeps every particle within the adaptive tolerances
+     * Limits the displacement (|v|·dt) and the speed change (|a|·dt) of the fastest point of
+     * any particle; rods add their rotation at the endpoints, half a rod length from the centre
+     * @param {Array} particles - Array of all particles in the simulation
+     * @param {object} config - Current simulation configuration
+     * @returns {number} - Largest allowed step (Infinity when nothing moves or accelerates)
+     */
+    static getAdaptiveStepLimit(particles, config) {
+        let largestSpeed = 0;
+        let largestAcceleration = 0;
+
+        for (const particle of particles) {
+            let speed = particle.velocity.mag();
+            let acceleration = particle.getDampedAcceleration(config).mag();
+            if (particle instanceof RodParticle) {
+                const arm = particle.length / 2;
+                speed += Math.abs(particle.angularVelocity) * arm;
+                acceleration += Math.abs(particle.getDampedAngularAcceleration(config)) * arm;
+            }
+            largestSpeed = Math.max(largestSpeed, speed);
+            largestAcceleration = Math.max(largestAcceleration, acceleration);
+        }
+
+        return Math.min(
+            largestSpeed > 0 ? config.adaptiveMaxDisplacement / largestSpeed : Infinity,
+            largestAcceleration > 0 ? config.adaptiveMaxSpeedChange / largestAcceleration : Infinity
+        );
+    }
+
+    /**
+     * Read a particle's kinematic state
+     * @param {Particle} particle - The particle
+     * @returns {Array<number>} - [x, y, vx, vy, angle, angularVelocity]
+     */
+    static readKinematics(particle) {
+        const isRod = particle instanceof RodParticle;
+        return [
+            particle.position.x,
+            particle.position.y,
+            particle.velocity.x,
+            particle.velocity.y,
+            isRod ? particle.angle : 0,
+            isRod ? particle.angularVelocity : 0
+        ];
+    }
+
+    /**
+     * Write a kinematic state back to a particle
+     * @param {Particle} particle - The particle
+     * @param {Array<number>} state - [x, y, vx, vy, angle, angularVelocity]
+     */
+    static writeKinematics(particle, state) {
+        particle.position.set(state[0], state[1]);
+        particle.velocity.set(state[2], state[3]);
+        if (particle instanceof RodParticle) {
+            particle.angle = state[4];
+            particle.angularVelocity = state[5];
+            particle.updateEndpoints();
+        }
+    }
+
+    /**
+     * Get the time derivative of a particle's kinematic state from its current forces
+     * @param {Particle} particle - The particle
+     * @param {object} config - Current simulation configuration
+     * @returns {Array<number>} - [vx, vy, ax, ay, angularVelocity, angularAcceleration]
+     */
+    static getDerivative(particle, config) {
+        const acceleration = particle.getDampedAcceleration(config);
+        const isRod = particle instanceof RodParticle;
+        return [
+            particle.velocity.x,
+            particle.velocity.y,
+            acceleration.x,
+            acceleration.y,
+            isRod ? particle.angularVelocity : 0,
+            isRod ? particle.getDampedAngularAcceleration(config) : 0
+        ];
+    }
+}
@@ -20,6 +20,9 @@ function setup() {
     );
     canvas.parent(simulationContainer);
     
+    // Run the simulation core on p5 vectors, math and random numbers
+    backend.use(SimulationBackend.createP5Backend());
+    
     // Initialize simulation components
     simulationManager = new SimulationManager(config);
     
@@ -27,7 +30,7 @@ function setup() {
     renderer = new Renderer(simulationManager, config);
     
     // Initialize UI controller
-    uiController = new UIController(simulationManager, config);
+    uiController = new UIController(simulationManager, config, renderer);
     
     // Initialize simulation and UI
     simulationManager.initialize();
@@ -44,8 +47,8 @@ function setup() {
  * p5.js draw function - runs every frame
  */
 function draw() {
-    // Update simulation if running
-    const stats = simulationManager.update();
+    // Update simulation if running, by the real time since the last frame
+    const stats = simulationManager.update(deltaTime / 1000);
     
     // Render simulation using the enhanced renderer
     simulationManager.render(renderer);
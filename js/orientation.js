@@ -0,0 +1,181 @@
+/**
+ * Orientation analysis module
+ * Nematic order of rod particles: global order, a local order field and per-cluster patterns
+ *
+ * Rods are head-tail symmetric, so angles are taken modulo pi and averaged as 2 * angle.
+ * The nematic order S = |<exp(2i angle)>| is 1 when all rods are parallel and near 0 when
+ * they point every way; the director is the mean axis, half the argument of that average.
+ */
+class OrientationAnalysis {
+    /**
+     * Nematic order above which a cluster's rods count as aligned
+     */
+    static get ALIGNED_ORDER() {
+        return 0.6;
+    }
+
+    /**
+     * Radial order above which a cluster's rods count as a star (and below minus which, a ring)
+     */
+    static get STAR_RADIAL_ORDER() {
+        return 0.5;
+    }
+
+    /**
+     * Fewest rods a cell of the order field needs (a single rod always has S = 1)
+     */
+    static get MIN_FIELD_RODS() {
+        return 2;
+    }
+
+    /**
+     * Cluster orientation patterns and their display names
+     */
+    static get PATTERNS() {
+        return {
+            aligned: 'Aligned',
+            star: 'Star',
+            ring: 'Ring',
+            random: 'Random'
+        };
+    }
+
+    /**
+     * Reduce an angle to the rod axis range [0, pi)
+     * @param {number} angle - Angle in radians
+     * @returns {number} - Axis angle
+     */
+    static toAxisAngle(angle) {
+        return ((angle % Math.PI) + Math.PI) % Math.PI;
+    }
+
+    /**
+     * Get the nematic order and director of a set of angles
+     * @param {Array<number>} angles - Rod angles in radians
+     * @returns {object} - { order: S from 0 to 1, director: axis angle in [0, pi) }
+     */
+    static getNematicOrder(angles) {
+        if (angles.length === 0) {
+            return { order: 0, director: 0 };
+        }
+
+        let cosSum = 0;
+        let sinSum = 0;
+        for (const angle of angles) {
+            cosSum += Math.cos(2 * angle);
+            sinSum += Math.sin(2 * angle);
+        }
+        cosSum /= angles.length;
+        sinSum /= angles.length;
+        return {
+            order: Math.sqrt(cosSum * cosSum + sinSum * sinSum),
+            director: OrientationAnalysis.toAxisAngle(Math.atan2(sinSum, cosSum) / 2)
+        };
+    }
+
+    /**
+     * Get the local order field: the nematic order of the rods in each cell of a grid
+     * @param {Array<RodParticle>} rods - Rod particles
+     * @param {object} config - Current simulation configuration
+     * @param {number} cellSize - Cell width and height
+     * @returns {Array<object>} - Cells with at least MIN_FIELD_RODS rods as { column, row, x, y (cell center), count, order, director }
+     */
+    static getOrderField(rods, config, cellSize) {
+        const width = config.canvasWidth;
+        const height = config.canvasHeight;
+        const columns = Math.max(1, Math.ceil(width / cellSize));
+        const rows = Math.max(1, Math.ceil(height / cellSize));
+
+        // Rods near a non-periodic edge may sit just outside the area; they count in the edge cell
+        const cellAngles = new Map();
+        for (const rod of rods) {
+            let x = rod.position.x;
+            let y = rod.position.y;
+            if (Boundary.isPeriodic(config)) {
+                x = Boundary.wrapCoordinate(x, width);
+                y = Boundary.wrapCoordinate(y, height);
+            }
+            const column = Math.min(columns - 1, Math.max(0, Math.floor(x / cellSize)));
+            const row = Math.min(rows - 1, Math.max(0, Math.floor(y / cellSize)));
+            const key = row * columns + column;
+            if (!cellAngles.has(key)) {
+                cellAngles.set(key, []);
+            }
+            cellAngles.get(key).push(rod.angle);
+        }
+
+        const cells = Array.from(cellAngles.entries())
+            .filter(([, angles]) => angles.length >= OrientationAnalysis.MIN_FIELD_RODS);
+        return cells.map(([key, angles]) => {
+            const column = key % columns;
+            const row = Math.floor(key / columns);
+            return Object.assign({
+                column,
+                row,
+                x: (column + 0.5) * cellSize,
+                y: (row + 0.5) * cellSize,
+                count: angles.length
+            }, OrientationAnalysis.getNematicOrder(angles));
+        });
+    }
+
+    /**
+     * Count rod angles in equal bins over [0, pi)
+     * @param {Array<number>} angles - Rod angles in radians
+     * @param {number} bins - Number of bins
+     * @returns {Array<number>} - One count per bin
+     */
+    static getRoseCounts(angles, bins) {
+        const counts = new Array(bins).fill(0);
+        for (const angle of angles) {
+            const bin = Math.floor(OrientationAnalysis.toAxisAngle(angle) / Math.PI * bins);
+            counts[Math.min(bin, bins - 1)]++;
+        }
+        return counts;
+    }
+
+    /**
+     * Analyse the orientation of a cluster's rods
+     * The radial order <cos 2(angle - bearing)>, with the bearing of each rod from the
+     * cluster center, is near 1 when the rods point outward (a star) and near -1 when
+     * they lie around it (a ring)
+     * @param {Array<RodParticle>} rods - Rods of the cluster
+     * @param {object} center - Cluster center { x, y }
+     * @param {object} config - Current simulation configuration
+     * @returns {object} - { rodCount, order, director, radialOrder, pattern }
+     */
+    static analyzeCluster(rods, center, config) {
+        const angles = rods.map(rod => rod.angle);
+        const nematic = OrientationAnalysis.getNematicOrder(angles);
+
+        // Rods at the center have no bearing
+        const from = backend.createVector(center.x, center.y);
+        let radialSum = 0;
+        let radialCount = 0;
+        for (const rod of rods) {
+            const offset = Boundary.displacement(from, rod.position, config);
+            if (offset.x * offset.x + offset.y * offset.y < 1e-6) continue;
+
+            radialSum += Math.cos(2 * (rod.angle - Math.atan2(offset.y, offset.x)));
+            radialCount++;
+        }
+        const radialOrder = radialCount > 0 ? radialSum / radialCount : 0;
+
+        let pattern = 'random';
+        if (nematic.order >= OrientationAnalysis.ALIGNED_ORDER) {
+            pattern = 'aligned';
+        } else if (radialOrder >= OrientationAnalysis.STAR_RADIAL_ORDER) {
+            pattern = 'star';
+        } else if (radialOrder <= -OrientationAnalysis.STAR_RADIAL_ORDER) {
+            pattern = 'ring';
+        }
+
+        return {
+            rodCount: rods.length,
+            order: nematic.order,
+            director: nematic.director,
+            radialOrder,
+            pattern
+        };
+    }
+}
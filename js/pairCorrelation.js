@@ -0,0 +1,235 @@
+/**
+ * Pair correlation module
+ * Radial distribution function g(r), overall and by species pair, averaged over recent
+ * samples, and the static structure factor S(k) derived from it
+ *
+ * g(r) is the number of pairs at distance r over the number expected for uniformly placed
+ * particles. The expected number follows the boundary mode: with periodic edges distances use
+ * the nearest image and every shell lies fully in the area; with walls a shell can reach
+ * outside the area, and the expected count uses the rectangle's isotropic set covariance
+ * (see getShellProbability), so no particles need to be excluded near the edges.
+ */
+class PairCorrelation {
+    /**
+     * Species pairs and their display names; keys are interaction matrix keys
+     */
+    static get PAIRS() {
+        return {
+            all: 'All',
+            'circle|circle': 'Circle–Circle',
+            'rod|rod': 'Rod–Rod',
+            'circle|rod': 'Rod–Circle'
+        };
+    }
+
+    /**
+     * Create an empty accumulator
+     * @param {number} maxSamples - Number of samples averaged; the oldest are dropped
+     */
+    constructor(maxSamples = 50) {
+        this.maxSamples = Math.max(1, Math.round(maxSamples));
+        this.samples = []; // Samples as { counts, expected, densities }, oldest first
+        this.maxDistance = null;
+        this.binWidth = null;
+    }
+
+    /**
+     * Remove all samples
+     */
+    clear() {
+        this.samples = [];
+    }
+
+    /**
+     * Change the number of samples averaged, keeping the latest ones
+     * @param {number} maxSamples - New number of samples
+     */
+    setMaxSamples(maxSamples) {
+        this.maxSamples = Math.max(1, Math.round(maxSamples));
+        if (this.samples.length > this.maxSamples) {
+            this.samples.splice(0, this.samples.length - this.maxSamples);
+        }
+    }
+
+    /**
+     * Get the largest distance that can be binned: half the shorter side of the area
+     * @param {number} maxDistance - Requested largest distance
+     * @param {object} config - Current simulation configuration
+     * @returns {number} - Largest distance
+     */
+    static getMaxDistance(maxDistance, config) {
+        return Math.min(maxDistance, Math.min(config.canvasWidth, config.canvasHeight) / 2);
+    }
+
+    /**
+     * Add a sample of the particle pairs
+     * Samples taken with other bins are dropped, since they can't be averaged together
+     * @param {Array<Particle>} particles - All particles
+     * @param {object} config - Current simulation configuration
+     * @param {number} maxDistance - Largest distance binned
+     * @param {number} binWidth - Width of each distance bin
+     */
+    sample(particles, config, maxDistance, binWidth) {
+        maxDistance = PairCorrelation.getMaxDistance(maxDistance, config);
+        const bins = Math.max(1, Math.floor(maxDistance / binWidth));
+        if (maxDistance !== this.maxDistance || binWidth !== this.binWidth) {
+            this.clear();
+            this.maxDistance = maxDistance;
+            this.binWidth = binWidth;
+        }
+
+        const counts = {};
+        Object.keys(PairCorrelation.PAIRS).forEach(pair => {
+            counts[pair] = new Array(bins).fill(0);
+        });
+
+        // Each unordered pair once
+        const species = particles.map(particle => (particle instanceof RodParticle ? 'rod' : 'circle'));
+        const limit = bins * binWidth;
+        for (let i = 0; i < particles.length; i++) {
+            for (let j = i + 1; j < particles.length; j++) {
+                const distance = Boundary.distance(particles[i].position, particles[j].position, config);
+                if (distance >= limit) continue;
+
+                const bin = Math.floor(distance / binWidth);
+                counts.all[bin]++;
+                counts[ForceSystem.getMatrixKey(species[i], species[j])][bin]++;
+            }
+        }
+
+        // Pairs expected in each shell for uniformly placed particles
+        const circles = species.filter(name => name === 'circle').length;
+        const rods = species.length - circles;
+        const pairCounts = {
+            all: species.length * (species.length - 1) / 2,
+            'circle|circle': circles * (circles - 1) / 2,
+            'rod|rod': rods * (rods - 1) / 2,
+            'circle|rod': circles * rods
+        };
+        const expected = {};
+        Object.entries(pairCounts).forEach(([pair, total]) => {
+            expected[pair] = counts[pair].map((_, bin) =>
+                total * PairCorrelation.getShellProbability(bin * binWidth, (bin + 1) * binWidth, config));
+        });
+
+        const area = config.canvasWidth * config.canvasHeight;
+        this.samples.push({
+            counts,
+            expected,
+            densities: { all: species.length / area, circle: circles / area, rod: rods / area }
+        });
+        if (this.samples.length > this.maxSamples) {
+            this.samples.splice(0, this.samples.length - this.maxSamples);
+        }
+    }
+
+    /**
+     * Get the probability that two uniformly placed particles are between two distances apart
+     * Periodic: the shell area over the area. With walls, the set covariance of a W x H
+     * rectangle averaged over directions, WH - 2r(W + H)/pi + r^2/pi, weights each shell
+     * (valid up to the shorter side)
+     * @param {number} r1 - Inner distance
+     * @param {number} r2 - Outer distance
+     * @param {object} config - Current simulation configuration
+     * @returns {number} - Probability
+     */
+    static getShellProbability(r1, r2, config) {
+        const width = config.canvasWidth;
+        const height = config.canvasHeight;
+        const area = width * height;
+        if (Boundary.isPeriodic(config)) {
+            return Math.PI * (r2 * r2 - r1 * r1) / area;
+        }
+
+        // Integral of 2 pi r times the set covariance, from 0 to r
+        const cumulative = (r) => area * Math.PI * r * r - (4 / 3) * (width + height) * r * r * r + r * r * r * r / 2;
+        return (cumulative(r2) - cumulative(r1)) / (area * area);
+    }
+
+    /**
+     * Get g(r) averaged over the samples held
+     * @param {string} pair - Key of PAIRS
+     * @returns {object} - { r: bin centers, g } (g is 0 where no pairs are expected)
+     */
+    getPairCorrelation(pair = 'all') {
+        if (this.samples.length === 0) {
+            return { r: [], g: [] };
+        }
+
+        const bins = this.samples[0].counts[pair].length;
+        const r = [];
+        const g = [];
+        for (let bin = 0; bin < bins; bin++) {
+            let count = 0;
+            let expected = 0;
+            for (const sample of this.samples) {
+                count += sample.counts[pair][bin];
+                expected += sample.expected[pair][bin];
+            }
+            r.push((bin + 0.5) * this.binWidth);
+            g.push(expected > 0 ? count / expected : 0);
+        }
+        return { r, g };
+    }
+
+    /**
+     * Get the static structure factor from g(r) by the 2D Fourier-Bessel transform
+     * S(k) = delta + 2 pi sqrt(rho_a rho_b) * integral of (g(r) - 1) J0(k r) r dr, with delta 1
+     * for a single species (and for all particles) and 0 for unlike species; the integral is
+     * cut at the largest binned distance, so k below about 2 pi / maxDistance is not meaningful
+     * @param {string} pair - Key of PAIRS
+     * @param {number} points - Number of k values
+     * @returns {object} - { k, s }
+     */
+    getStructureFactor(pair = 'all', points = 100) {
+        const correlation = this.getPairCorrelation(pair);
+        if (correlation.r.length === 0) {
+            return { k: [], s: [] };
+        }
+
+        // Mean densities of the two species of the pair
+        const density = (name) => this.samples.reduce((sum, sample) => sum + sample.densities[name], 0) /
+            this.samples.length;
+        const names = pair === 'all' ? ['all', 'all'] : pair.split('|');
+        const weight = 2 * Math.PI * Math.sqrt(density(names[0]) * density(names[1]));
+        const delta = names[0] === names[1] ? 1 : 0;
+
+        // From the longest wavelength that fits to the bin width
+        const kMin = 2 * Math.PI / this.maxDistance;
+        const kMax = Math.PI / this.binWidth;
+        const k = [];
+        const s = [];
+        for (let i = 0; i < points; i++) {
+            const wavenumber = kMin + (kMax - kMin) * i / Math.max(points - 1, 1);
+            let integral = 0;
+            correlation.r.forEach((radius, bin) => {
+                integral += (correlation.g[bin] - 1) * PairCorrelation.besselJ0(wavenumber * radius) *
+                    radius * this.binWidth;
+            });
+            k.push(wavenumber);
+            s.push(delta + weight * integral);
+        }
+        return { k, s };
+    }
+
+    /**
+     * Bessel function of the first kind of order zero (Abramowitz and Stegun 9.4.1 and 9.4.3)
+     * @param {number} x - Argument
+     * @returns {number} - J0(x), to about 1e-7
+     */
+    static besselJ0(x) {
+        const ax = Math.abs(x);
+        if (ax <= 3) {
+            const y = (x / 3) * (x / 3);
+            return 1 + y * (-2.2499997 + y * (1.2656208 + y * (-0.3163866 + y * (0.0444479 +
+                y * (-0.0039444 + y * 0.0002100)))));
+        }
+
+        const y = 3 / ax;
+        const f0 = 0.79788456 + y * (-0.00000077 + y * (-0.00552740 + y * (-0.00009512 +
+            y * (0.00137237 + y * (-0.00072805 + y * 0.00014476)))));
+        const theta0 = ax - 0.78539816 + y * (-0.04166397 + y * (-0.00003954 + y * (0.00262573 +
+            y * (-0.00054125 + y * (-0.00029333 + y * 0.00013558)))));
+        return f0 * Math.cos(theta0) / Math.sqrt(ax);
+    }
+}
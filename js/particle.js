@@ -11,9 +11,9 @@ class Particle {
      */
     constructor(x, y, mass) {
         // Position and movement
-        this.position = createVector(x, y);
-        this.velocity = createVector(0, 0);
-        this.acceleration = createVector(0, 0);
+        this.position = backend.createVector(x, y);
+        this.velocity = backend.createVector(0, 0);
+        this.acceleration = backend.createVector(0, 0);
         
         // Physical properties
         this.mass = mass;
@@ -33,8 +33,83 @@ class Particle {
         // Unique ID for cluster tracking (will be set by ForceSystem)
         this.id = null;
         
-        // Future: affinity/attribute property
-        this.affinity = null; // Will be implemented in future stages
+        // Affinity class (0, 1, ...) or null when affinities are disabled
+        // Same affinity attracts, opposing affinity repels (see ForceSystem)
+        this.affinity = null;
+        
+        // Set when the particle has left through an absorbing edge (removed by the SimulationManager)
+        this.absorbed = false;
+        
+        // Distance removed by periodic wrapping; position + wrap is the unwrapped position
+        this.wrapX = 0;
+        this.wrapY = 0;
+    }
+    
+    /**
+     * Names of the scalar state fields saved in snapshots
+     * @returns {Array<string>} - Field names
+     */
+    static get STATE_FIELDS() {
+        return [
+            'mass', 'clusterCount', 'inCluster', 'clusterTime', 'isolationTime',
+            'clusterSize', 'repulsionTimer', 'shouldRepulse', 'lastClusterSize', 'affinity',
+            'wrapX', 'wrapY'
+        ];
+    }
+    
+    /**
+     * Encode a value for JSON, keeping non-finite numbers (JSON would turn them into null)
+     * @param {*} value - Value to encode
+     * @returns {*} - JSON-safe value
+     */
+    static encodeStateValue(value) {
+        return typeof value === 'number' && !Number.isFinite(value) ? String(value) : value;
+    }
+    
+    /**
+     * Decode a value written by encodeStateValue
+     * @param {*} value - Encoded value
+     * @returns {*} - Original value
+     */
+    static decodeStateValue(value) {
+        return value === 'NaN' || value === 'Infinity' || value === '-Infinity' ? Number(value) : value;
+    }
+    
+    /**
+     * Get the complete dynamic state of the particle
+     * @returns {object} - Plain, JSON-serializable state
+     */
+    getState() {
+        const state = {
+            type: 'circular',
+            id: this.id,
+            position: { x: this.position.x, y: this.position.y },
+            velocity: { x: this.velocity.x, y: this.velocity.y },
+            acceleration: { x: this.acceleration.x, y: this.acceleration.y }
+        };
+        
+        for (const field of this.constructor.STATE_FIELDS) {
+            state[field] = Particle.encodeStateValue(this[field]);
+        }
+        
+        return state;
+    }
+    
+    /**
+     * Restore the dynamic state written by getState
+     * @param {object} state - State to restore
+     */
+    setState(state) {
+        this.id = state.id;
+        this.position.set(state.position.x, state.position.y);
+        this.velocity.set(state.velocity.x, state.velocity.y);
+        this.acceleration.set(state.acceleration.x, state.acceleration.y);
+        
+        for (const field of this.constructor.STATE_FIELDS) {
+            if (field in state) {
+                this[field] = Particle.decodeStateValue(state[field]);
+            }
+        }
     }
     
     /**
@@ -43,7 +118,7 @@ class Particle {
      */
     applyForce(force) {
         // F = ma, so a = F/m
-        const f = p5.Vector.div(force, this.mass);
+        const f = backend.Vector.div(force, this.mass);
         this.acceleration.add(f);
     }
     
@@ -63,18 +138,18 @@ class Particle {
         }
         
         // Update velocity based on acceleration
-        this.velocity.add(this.acceleration);
+        this.velocity.add(backend.Vector.mult(this.acceleration, config.timeStep));
         
         // Limit maximum speed
-        this.velocity.limit(config.maxSpeed);
+        this.limitSpeed(config);
         
         // Update position based on velocity
-        this.position.add(p5.Vector.mult(this.velocity, config.timeStep));
+        this.position.add(backend.Vector.mult(this.velocity, config.timeStep));
         
         // Reset acceleration for next frame
         this.acceleration.mult(0);
         
-        // Handle boundary conditions (wrap around edges)
+        // Handle boundary conditions (wrap, reflect or absorb at the edges)
         this.handleBoundaries(config);
         
         // Update mass based on clustering status
@@ -82,35 +157,78 @@ class Particle {
     }
     
     /**
-     * Handle boundary conditions (wrap around edges)
+     * Get the acceleration including dampening, for integrators that advance the motion themselves
      * @param {object} config - Current simulation configuration
+     * @returns {p5.Vector} - Acceleration from the applied forces plus dampening (F_dampening = -c * v)
      */
-    handleBoundaries(config) {
-        if (this.position.x < 0) {
-            this.position.x = config.canvasWidth;
-        } else if (this.position.x > config.canvasWidth) {
-            this.position.x = 0;
+    getDampedAcceleration(config) {
+        const acceleration = this.acceleration.copy();
+        if (config.dampeningCoefficient > 0) {
+            const dampeningForce = this.velocity.copy();
+            dampeningForce.mult(-config.dampeningCoefficient);
+            acceleration.add(backend.Vector.div(dampeningForce, this.mass));
         }
+        return acceleration;
+    }
+    
+    /**
+     * Finish a step after an integrator has advanced position and velocity
+     * Does the bookkeeping that update() does after moving the particle
+     * @param {object} config - Current simulation configuration
+     */
+    completeStep(config) {
+        // Limit maximum speed
+        this.limitSpeed(config);
         
-        if (this.position.y < 0) {
-            this.position.y = config.canvasHeight;
-        } else if (this.position.y > config.canvasHeight) {
-            this.position.y = 0;
+        // Reset acceleration for next frame
+        this.acceleration.mult(0);
+        
+        // Handle boundary conditions (wrap, reflect or absorb at the edges)
+        this.handleBoundaries(config);
+        
+        // Update mass based on clustering status
+        this.updateMass(config);
+    }
+    
+    /**
+     * Clamp the speed to maxSpeed, if the speed limit is enabled
+     * @param {object} config - Current simulation configuration
+     */
+    limitSpeed(config) {
+        if (config.speedLimitEnabled) {
+            this.velocity.limit(config.maxSpeed);
         }
     }
     
+    /**
+     * Get the position the particle would have if it had never been wrapped
+     * @returns {p5.Vector} - Unwrapped position
+     */
+    getUnwrappedPosition() {
+        return backend.createVector(this.position.x + this.wrapX, this.position.y + this.wrapY);
+    }
+    
+    /**
+     * Handle boundary conditions for the selected boundary mode (see Boundary)
+     * @param {object} config - Current simulation configuration
+     */
+    handleBoundaries(config) {
+        Boundary.apply(this, config);
+    }
+    
     /**
      * Update particle mass based on clustering status
+     * Timers and mass rates advance with the time step, so substeps don't speed them up
      * @param {object} config - Current simulation configuration
      */
     updateMass(config) {
         if (this.inCluster) {
-            this.clusterTime++;
+            this.clusterTime += config.timeStep;
             this.isolationTime = 0;
             
             // Update repulsion timer and check if it's time to repulse
             if (this.repulsionTimer < config.repulsionDelay) {
-                this.repulsionTimer++;
+                this.repulsionTimer += config.timeStep;
                 this.shouldRepulse = false;
             } else {
                 this.shouldRepulse = true;
@@ -118,17 +236,17 @@ class Particle {
             
             // Increase mass when in cluster
             if (this.mass < config.maxMass) {
-                this.mass += config.massGainRate;
+                this.mass += config.massGainRate * config.timeStep;
             }
         } else {
-            this.isolationTime++;
+            this.isolationTime += config.timeStep;
             this.clusterTime = 0;
             this.repulsionTimer = 0;
             this.shouldRepulse = false;
             
             // Decrease mass when isolated
             if (this.mass > config.minMass) {
-                this.mass -= config.massLossRate;
+                this.mass -= config.massLossRate * config.timeStep;
             }
         }
     }
@@ -6,9 +6,11 @@ class ParticleFactory {
     /**
      * Create a new particle factory
      * @param {object} config - Configuration object
+     * @param {SeededRandom} rng - Random number generator used for all random choices
      */
-    constructor(config) {
+    constructor(config, rng = new SeededRandom(config.current.seed)) {
         this.config = config;
+        this.rng = rng;
         this.particleCount = 0; // Counter for generating unique IDs
     }
 
@@ -21,14 +23,14 @@ class ParticleFactory {
         // Debug: Log the type of particle being created
         console.log('Creating random particle of type:', type);
         
-        const x = random(this.config.current.canvasWidth);
-        const y = random(this.config.current.canvasHeight);
+        const x = this.rng.random(this.config.current.canvasWidth);
+        const y = this.rng.random(this.config.current.canvasHeight);
         const mass = this.config.current.initialMass;
         
         let particle;
         if (type === 'rod') {
             const length = this.config.current.rodLength || 20; // Default rod length if not specified
-            const angle = random(TWO_PI); // Random initial orientation
+            const angle = this.rng.random(backend.TWO_PI); // Random initial orientation
             particle = new RodParticle(x, y, length, angle, mass);
             console.log('Created ROD particle');
         } else {
@@ -37,6 +39,7 @@ class ParticleFactory {
             console.log('Created CIRCULAR particle');
         }
         
+        particle.affinity = this.pickAffinity();
         particle.id = this.particleCount++; // Assign unique ID
         return particle;
     }
@@ -50,6 +53,7 @@ class ParticleFactory {
      * @param {string} options.type - Type of particle ('circular' or 'rod')
      * @param {number} options.length - Length for rod particles
      * @param {number} options.angle - Initial angle for rod particles in radians
+     * @param {number} options.affinity - Affinity class (picked from the configured proportions if omitted)
      * @returns {Particle} A new particle instance
      */
     createParticleAtPosition(x, y, options = {}) {
@@ -58,12 +62,13 @@ class ParticleFactory {
 
         if (options.type === 'rod') {
             const length = options.length || this.config.current.rodLength || 20;
-            const angle = options.angle !== undefined ? options.angle : random(TWO_PI);
+            const angle = options.angle !== undefined ? options.angle : this.rng.random(backend.TWO_PI);
             particle = new RodParticle(x, y, length, angle, mass);
         } else {
             particle = new Particle(x, y, mass);
         }
 
+        particle.affinity = options.affinity !== undefined ? options.affinity : this.pickAffinity();
         particle.id = this.particleCount++;
         return particle;
     }
@@ -86,7 +91,7 @@ class ParticleFactory {
         for (let i = 0; i < count; i++) {
             if (type === 'mixed') {
                 // Create a mix of circular and rod particles based on rodRatio
-                const particleType = Math.random() < rodRatio ? 'rod' : 'circular';
+                const particleType = this.rng.random() < rodRatio ? 'rod' : 'circular';
                 console.log(`Mixed batch - creating particle ${i+1}/${count} of type:`, particleType);
                 particles.push(this.createRandomParticle(particleType));
             } else {
@@ -103,6 +108,44 @@ class ParticleFactory {
         return particles;
     }
 
+    /**
+     * Pick an affinity class according to the configured proportions
+     * @returns {number|null} Affinity class, or null when affinities are disabled
+     */
+    pickAffinity() {
+        const settings = this.config.current;
+        if (!settings.affinityEnabled) return null;
+        
+        const weights = settings.affinityProportions.slice(0, Math.max(1, settings.affinityTypes));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        if (total <= 0) return 0;
+        
+        // Walk the cumulative weights
+        let remaining = this.rng.random(total);
+        for (let i = 0; i < weights.length; i++) {
+            remaining -= weights[i];
+            if (remaining < 0) return i;
+        }
+        return weights.length - 1;
+    }
+
+    /**
+     * Recreate a particle from a state saved with getState()
+     * @param {object} state - Saved particle state
+     * @returns {Particle} A particle with the saved state
+     */
+    createFromState(state) {
+        let particle;
+        if (state.type === 'rod') {
+            particle = new RodParticle(state.position.x, state.position.y, state.length, state.angle, state.mass);
+        } else {
+            particle = new Particle(state.position.x, state.position.y, state.mass);
+        }
+        
+        particle.setState(state);
+        return particle;
+    }
+
     /**
      * Create a rod particle with random position
      * @returns {RodParticle} A new rod particle instance
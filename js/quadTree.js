@@ -0,0 +1,119 @@
+/**
+ * Quadtree module
+ * Aggregates particle mass for the Barnes-Hut long-range approximation
+ */
+class QuadTree {
+    /**
+     * Create a new quadtree
+     * @param {number} capacity - Maximum number of particles stored in a leaf
+     * @param {number} maxDepth - Maximum subdivision depth
+     */
+    constructor(capacity = 8, maxDepth = 16) {
+        this.capacity = capacity;
+        this.maxDepth = maxDepth;
+        this.root = null;
+    }
+
+    /**
+     * Build the tree from the current particle positions
+     * @param {Array} particles - Array of all particles in the simulation
+     * @param {Array<number>} indices - Optional subset of particle indices to include
+     */
+    build(particles, indices = particles.map((_, i) => i)) {
+        if (indices.length === 0) {
+            this.root = null;
+            return;
+        }
+
+        // Use a square root node that covers every particle
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        for (const i of indices) {
+            const particle = particles[i];
+            minX = Math.min(minX, particle.position.x);
+            minY = Math.min(minY, particle.position.y);
+            maxX = Math.max(maxX, particle.position.x);
+            maxY = Math.max(maxY, particle.position.y);
+        }
+        const size = Math.max(maxX - minX, maxY - minY, 1);
+
+        this.root = this.buildNode(particles, indices, minX, minY, size, 0);
+    }
+
+    /**
+     * Recursively build a node and its children
+     * @param {Array} particles - Array of all particles in the simulation
+     * @param {Array<number>} indices - Indices of the particles inside this node
+     * @param {number} x - Left edge of the node
+     * @param {number} y - Top edge of the node
+     * @param {number} size - Width and height of the node
+     * @param {number} depth - Depth of the node in the tree
+     * @returns {object} - The built node
+     */
+    buildNode(particles, indices, x, y, size, depth) {
+        const node = {
+            x: x,
+            y: y,
+            size: size,
+            mass: 0,
+            centerX: 0,
+            centerY: 0,
+            indices: null,
+            children: null
+        };
+
+        // Aggregate mass and center of mass
+        for (const i of indices) {
+            const particle = particles[i];
+            node.mass += particle.mass;
+            node.centerX += particle.position.x * particle.mass;
+            node.centerY += particle.position.y * particle.mass;
+        }
+        if (node.mass > 0) {
+            node.centerX /= node.mass;
+            node.centerY /= node.mass;
+        }
+
+        // Small or deep nodes become leaves
+        if (indices.length <= this.capacity || depth >= this.maxDepth) {
+            node.indices = indices;
+            return node;
+        }
+
+        // Split into quadrants
+        const half = size / 2;
+        const quadrants = [[], [], [], []];
+        for (const i of indices) {
+            const position = particles[i].position;
+            const right = position.x >= x + half ? 1 : 0;
+            const bottom = position.y >= y + half ? 2 : 0;
+            quadrants[right + bottom].push(i);
+        }
+
+        node.children = [];
+        quadrants.forEach((quadrant, q) => {
+            if (quadrant.length > 0) {
+                const childX = x + (q & 1 ? half : 0);
+                const childY = y + (q & 2 ? half : 0);
+                node.children.push(this.buildNode(particles, quadrant, childX, childY, half, depth + 1));
+            }
+        });
+
+        return node;
+    }
+
+    /**
+     * Get the distance from a point to the closest edge of a node
+     * @param {object} node - The node to measure against
+     * @param {number} px - X coordinate of the point
+     * @param {number} py - Y coordinate of the point
+     * @returns {number} - Distance (0 if the point is inside the node)
+     */
+    static distanceToNode(node, px, py) {
+        const dx = Math.max(node.x - px, 0, px - (node.x + node.size));
+        const dy = Math.max(node.y - py, 0, py - (node.y + node.size));
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+}
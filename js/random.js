@@ -0,0 +1,77 @@
+/**
+ * Seeded random number module
+ * Deterministic pseudo-random numbers so runs can be reproduced from a seed
+ */
+class SeededRandom {
+    /**
+     * Create a new seeded random number generator
+     * @param {number} seed - Initial seed (unsigned 32-bit integer)
+     */
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Generate a fresh seed from the non-deterministic Math.random
+     * @returns {number} - An unsigned 32-bit integer seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    /**
+     * Restart the sequence from a seed
+     * @param {number} seed - Seed (converted to an unsigned 32-bit integer)
+     */
+    setSeed(seed) {
+        this.seed = Number(seed) >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the next number in [0, 1) using the mulberry32 generator
+     * @returns {number} - Pseudo-random number
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a random number, with the same arguments as p5's random()
+     * random() returns [0, 1), random(max) returns [0, max), random(min, max) returns [min, max)
+     * @param {number} min - Lower bound, or upper bound if max is omitted
+     * @param {number} max - Upper bound
+     * @returns {number} - Pseudo-random number
+     */
+    random(min, max) {
+        if (max === undefined) {
+            max = min === undefined ? 1 : min;
+            min = 0;
+        }
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Get the generator state so the sequence can be resumed later
+     * @returns {object} - Serializable state
+     */
+    getState() {
+        return {
+            seed: this.seed,
+            state: this.state
+        };
+    }
+
+    /**
+     * Resume the sequence from a saved state
+     * @param {object} savedState - State returned by getState()
+     */
+    setState(savedState) {
+        this.seed = savedState.seed >>> 0;
+        this.state = savedState.state >>> 0;
+    }
+}
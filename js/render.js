@@ -12,6 +12,23 @@ class Renderer {
         this.simulation = simulation;
         this.config = config;
         this.showForceVectors = false; // Debug option to show force vectors
+        this.highlightedClusterId = null; // Persistent ID of the cluster picked in the genealogy panel
+        this.contactValues = null; // Coordination number or psi6 per particle ID, when colouring by them
+    }
+    
+    /**
+     * Coordination number drawn in the warmest hue; higher ones share it
+     */
+    static get MAX_COLOURED_COORDINATION() {
+        return 6;
+    }
+    
+    /**
+     * Hues used when colouring particles by affinity class
+     * @returns {Array<number>} - One hue per affinity class
+     */
+    static get AFFINITY_HUES() {
+        return [210, 0, 120, 45];
     }
     
     /**
@@ -21,23 +38,37 @@ class Renderer {
         // Clear background
         background(240);
         
-        // Debug: Log the number of particles being rendered
-        console.log('Rendering', this.simulation.particles.length, 'particles');
+        // Colouring by the contact network needs it once per frame
+        const colorBy = this.config.current.colorBy;
+        this.contactValues = null;
+        if (colorBy === 'coordination' || colorBy === 'bondOrder') {
+            const network = this.simulation.forceSystem.getContactNetwork(this.simulation.particles);
+            this.contactValues = colorBy === 'coordination' ?
+                network.getDegrees() :
+                network.getBondOrders(this.simulation.particles, this.config.current)
+                    .map(order => (order ? order.magnitude : 0));
+        }
         
         // Draw particles first
         for (let particle of this.simulation.particles) {
-            // Debug: Log each particle type
-            const isRod = particle.hasOwnProperty('angle') && particle.hasOwnProperty('length');
-            console.log('Rendering particle:', isRod ? 'ROD' : 'CIRCULAR', 'at position', particle.position.x, particle.position.y);
-            
             this.renderParticle(particle);
         }
         
+        // Local nematic order of the rods
+        if (this.config.current.showOrderField) {
+            this.renderOrderField();
+        }
+        
         // Draw connections between particles on top (if debug is enabled)
         if (this.showForceVectors) {
             this.renderForceVectors();
         }
         
+        // Mark the cluster picked in the genealogy panel
+        if (this.highlightedClusterId !== null) {
+            this.renderHighlightedCluster();
+        }
+        
         // Draw cluster statistics
         this.renderClusterStats();
     }
@@ -60,6 +91,20 @@ class Renderer {
             // For counts > 100, cycle through red to magenta (0-300)
             mainHue = map(particle.clusterCount % maxClusterCount, 0, maxClusterCount, 0, 300);
         }
+        
+        // Optionally colour by affinity class instead of cluster history
+        if (this.config.current.colorBy === 'affinity' && particle.affinity !== null) {
+            const hues = Renderer.AFFINITY_HUES;
+            mainHue = hues[particle.affinity % hues.length];
+        }
+        
+        // Or by coordination number (blue = no bonds, red = 6 or more) or |psi6| (blue = 0, red = 1)
+        if (this.contactValues && this.contactValues[particle.id] !== undefined) {
+            const value = this.contactValues[particle.id];
+            mainHue = this.config.current.colorBy === 'coordination' ?
+                map(Math.min(value, Renderer.MAX_COLOURED_COORDINATION), 0, Renderer.MAX_COLOURED_COORDINATION, 240, 0) :
+                map(value, 0, 1, 240, 0);
+        }
 
         // Calculate ring color if particle is in a cluster
         let ringHue;
@@ -85,10 +130,8 @@ class Renderer {
         if (particle instanceof RodParticle || 
             (particle.hasOwnProperty('angle') && particle.hasOwnProperty('length') && 
              particle.hasOwnProperty('pointA') && particle.hasOwnProperty('pointB'))) {
-            console.log('Detected ROD particle, rendering with renderRodParticle');
             this.renderRodParticle(particle, mainHue, ringHue);
         } else {
-            console.log('Detected CIRCULAR particle, rendering with renderCircularParticle');
             this.renderCircularParticle(particle, mainHue, ringHue);
         }
         
@@ -103,9 +146,6 @@ class Renderer {
      * @param {number} ringHue - Ring color hue (for clustered particles)
      */
     renderCircularParticle(particle, mainHue, ringHue) {
-        // Debug: Log that we're rendering a circular particle
-        console.log('renderCircularParticle called for particle at', particle.position.x, particle.position.y);
-        
         // Calculate size multiplier based on mass
         let sizeMultiplier = 2;
         if (particle.inCluster && particle.clusterSize > 1) {
@@ -115,7 +155,6 @@ class Renderer {
 
         // Calculate base particle size
         const baseSize = particle.mass * sizeMultiplier;
-        console.log('Circular particle size:', baseSize, 'based on mass:', particle.mass);
 
         // Draw outer glow if particle is in a cluster
         if (particle.inCluster && particle.clusterSize > 1) {
@@ -129,9 +168,6 @@ class Renderer {
         noStroke();
         fill(mainHue, 60, 70);
         circle(particle.position.x, particle.position.y, baseSize);
-        
-        // Debug: Verify the circle was drawn
-        console.log('Drew circular particle at', particle.position.x, particle.position.y, 'with size', baseSize);
     }
 
     /**
@@ -193,7 +229,9 @@ class Renderer {
                                        forceSystem.particleClusterMap.get(p1.id) === forceSystem.particleClusterMap.get(p2.id);
                     
                     if (sameCluster) {
-                        const distance = p5.Vector.dist(p1.position, p2.position);
+                        // Connections across a periodic edge use the nearest image
+                        const offset = Boundary.displacement(p1.position, p2.position, this.config.current);
+                        const distance = offset.mag();
                         
                         if (distance < this.config.current.thresholdDistance * 1.2) {
                             // Color and thickness based on cluster size
@@ -221,7 +259,11 @@ class Renderer {
                             
                             stroke(hue, 70, 90, alpha);
                             strokeWeight(weight);
-                            line(p1.position.x, p1.position.y, p2.position.x, p2.position.y);
+                            line(p1.position.x, p1.position.y, p1.position.x + offset.x, p1.position.y + offset.y);
+                            if (p1.position.x + offset.x !== p2.position.x || p1.position.y + offset.y !== p2.position.y) {
+                                // Wrapped connection: draw the other half from p2's side
+                                line(p2.position.x, p2.position.y, p2.position.x - offset.x, p2.position.y - offset.y);
+                            }
                             
                             // Reset color mode
                             colorMode(RGB, 255, 255, 255);
@@ -232,6 +274,64 @@ class Renderer {
         }
     }
     
+    /**
+     * Set the cluster to highlight
+     * @param {number|null} clusterId - Persistent cluster ID, or null for none
+     */
+    setHighlightedCluster(clusterId) {
+        this.highlightedClusterId = clusterId;
+    }
+    
+    /**
+     * Render the highlighted cluster
+     * Rings its members and labels its center; an ended cluster only gets a label at its last center
+     */
+    renderHighlightedCluster() {
+        const forceSystem = this.simulation.forceSystem;
+        const record = forceSystem.getClusterRecord(this.highlightedClusterId);
+        if (!record) return;
+        
+        const ended = record.endFrame !== null;
+        if (!ended) {
+            noFill();
+            stroke(233, 30, 99);
+            strokeWeight(2);
+            for (const particle of this.simulation.particles) {
+                if (forceSystem.getClusterId(particle.id) !== record.id) continue;
+                
+                const diameter = particle instanceof RodParticle ? particle.length + 8 : particle.mass * 2.5 + 8;
+                circle(particle.position.x, particle.position.y, diameter);
+            }
+        }
+        
+        if (record.center) {
+            noStroke();
+            fill(233, 30, 99);
+            textSize(12);
+            textAlign(CENTER, BOTTOM);
+            text(ended ? `#${record.id} (ended)` : `#${record.id}`, record.center.x, record.center.y - 10);
+        }
+    }
+    
+    /**
+     * Render the local order field
+     * Each cell with rods gets a line along its director, longer and darker the more ordered it is
+     */
+    renderOrderField() {
+        const rods = this.simulation.particles.filter(particle => particle instanceof RodParticle);
+        const cellSize = this.config.current.orderFieldCellSize;
+        const cells = OrientationAnalysis.getOrderField(rods, this.config.current, cellSize);
+        
+        strokeWeight(3);
+        for (const cell of cells) {
+            const halfLength = cell.order * cellSize * 0.4;
+            const dx = halfLength * Math.cos(cell.director);
+            const dy = halfLength * Math.sin(cell.director);
+            stroke(0, 150, 136, 60 + 160 * cell.order);
+            line(cell.x - dx, cell.y - dy, cell.x + dx, cell.y + dy);
+        }
+    }
+    
     /**
      * Toggle debug visualization
      */
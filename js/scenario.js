@@ -0,0 +1,182 @@
+/**
+ * Scenario module
+ * Versioned JSON documents for exporting and importing complete scenarios
+ * (settings, seed, particles and metadata)
+ */
+class ScenarioFile {
+    /**
+     * Format identifier written to every scenario file
+     */
+    static get FORMAT() {
+        return 'particle-cluster-scenario';
+    }
+
+    /**
+     * Current schema version
+     * Bump this and add an entry to ScenarioFile.migrations when the format changes
+     */
+    static get VERSION() {
+        return 2;
+    }
+
+    /**
+     * Create a scenario document from the current simulation state
+     * @param {SimulationManager} simulation - The simulation manager
+     * @param {Object} metadata - Optional metadata (name, description, ...)
+     * @returns {object} - Scenario document
+     */
+    static create(simulation, metadata = {}) {
+        const snapshot = simulation.createSnapshot();
+
+        return {
+            format: ScenarioFile.FORMAT,
+            version: ScenarioFile.VERSION,
+            metadata: Object.assign({
+                name: 'Untitled scenario',
+                description: '',
+                createdAt: new Date(snapshot.timestamp).toISOString(),
+                particleCount: snapshot.particles.length
+            }, metadata),
+            seed: snapshot.settings.seed,
+            settings: snapshot.settings,
+            particles: snapshot.particles,
+            forceSystem: snapshot.forceSystem,
+            rng: snapshot.rng,
+            nextParticleId: snapshot.nextParticleId,
+            simulatedTime: snapshot.simulatedTime,
+            stepCount: snapshot.stepCount,
+            absorbedCount: snapshot.absorbedCount
+        };
+    }
+
+    /**
+     * Parse scenario JSON text and migrate it to the current version
+     * @param {string} text - JSON text
+     * @returns {object} - Scenario document at the current version
+     */
+    static parse(text) {
+        let scenario;
+        try {
+            scenario = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Scenario file is not valid JSON: ' + error.message);
+        }
+        return ScenarioFile.migrate(scenario);
+    }
+
+    /**
+     * Migrate a scenario document to the current version
+     * @param {object} scenario - Scenario document at any supported version
+     * @returns {object} - Scenario document at the current version
+     */
+    static migrate(scenario) {
+        if (!scenario || scenario.format !== ScenarioFile.FORMAT) {
+            throw new Error('Not a particle cluster scenario file');
+        }
+        if (typeof scenario.version !== 'number' || scenario.version < 1) {
+            throw new Error('Scenario file has no valid schema version');
+        }
+        if (scenario.version > ScenarioFile.VERSION) {
+            throw new Error(`Scenario version ${scenario.version} is newer than the supported version ${ScenarioFile.VERSION}`);
+        }
+        // Checked before migrating, since the migrations expect both
+        if (!Array.isArray(scenario.particles) || !scenario.settings) {
+            throw new Error('Scenario file is missing settings or particles');
+        }
+
+        let migrated = scenario;
+        while (migrated.version < ScenarioFile.VERSION) {
+            const migration = ScenarioFile.migrations[migrated.version];
+            if (!migration) {
+                throw new Error(`No migration from scenario version ${migrated.version}`);
+            }
+            migrated = migration(migrated);
+            migrated.version++;
+        }
+        return migrated;
+    }
+
+    /**
+     * Convert a (current version) scenario document to a simulation snapshot
+     * Hand-written files may leave out settings, velocities, IDs and generator state,
+     * but every particle needs a position
+     * @param {object} scenario - Scenario document
+     * @param {object} defaults - Settings used for anything the scenario leaves out
+     * @returns {object} - Snapshot for SimulationManager.restoreSnapshot
+     */
+    static toSnapshot(scenario, defaults = {}) {
+        const settings = Object.assign({}, defaults, scenario.settings);
+        if (scenario.seed !== undefined) {
+            settings.seed = scenario.seed;
+        }
+
+        const particles = scenario.particles.map((particle, index) => Object.assign({
+            id: index,
+            mass: settings.initialMass,
+            velocity: { x: 0, y: 0 },
+            acceleration: { x: 0, y: 0 }
+        }, particle));
+        particles.forEach((particle, index) => {
+            ['position', 'velocity', 'acceleration'].forEach(field => {
+                if (!ScenarioFile.isVector(particle[field])) {
+                    throw new Error(`Scenario particle ${index} has no valid ${field}`);
+                }
+            });
+        });
+
+        const nextParticleId = scenario.nextParticleId !== undefined ?
+            scenario.nextParticleId :
+            particles.reduce((max, particle) => Math.max(max, particle.id + 1), 0);
+
+        return {
+            settings: settings,
+            particles: particles,
+            forceSystem: scenario.forceSystem || {},
+            rng: scenario.rng || { seed: settings.seed, state: settings.seed },
+            nextParticleId: nextParticleId,
+            simulatedTime: scenario.simulatedTime || 0,
+            stepCount: scenario.stepCount || 0,
+            absorbedCount: scenario.absorbedCount || 0,
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Check that a value read from a scenario is an { x, y } vector
+     * @param {*} value - Value to check
+     * @returns {boolean} - True if both components are numbers
+     */
+    static isVector(value) {
+        return value !== null && typeof value === 'object' &&
+            typeof value.x === 'number' && typeof value.y === 'number';
+    }
+
+    /**
+     * Parse scenario JSON text and restore it into a simulation
+     * @param {SimulationManager} simulation - The simulation manager
+     * @param {string} text - JSON text
+     * @returns {object} - The loaded scenario document
+     */
+    static load(simulation, text) {
+        const scenario = ScenarioFile.parse(text);
+        simulation.restoreSnapshot(ScenarioFile.toSnapshot(scenario, simulation.config.defaults));
+        return scenario;
+    }
+}
+
+/**
+ * Migrations from each schema version to the next
+ * Keyed by the version they migrate from; each receives a document at that
+ * version and returns it upgraded (migrate() increments the version number)
+ */
+ScenarioFile.migrations = {
+    // Version 2 gave particles an affinity class; older particles have none
+    1: (scenario) => {
+        scenario.particles.forEach(particle => {
+            if (particle.affinity === undefined) {
+                particle.affinity = null;
+            }
+        });
+        return scenario;
+    }
+};
@@ -3,6 +3,21 @@
  * Manages the simulation loop, initialization, and reset
  */
 class SimulationManager {
+    /**
+     * Frame rate the simulation speed is measured against (one frame = one timeStep at 1x)
+     */
+    static get NOMINAL_FRAME_RATE() {
+        return 60;
+    }
+    
+    /**
+     * Longest real frame time that is caught up on, in seconds
+     * Keeps a stalled tab or a slow machine from queueing an endless backlog of steps
+     */
+    static get MAX_FRAME_TIME() {
+        return 0.25;
+    }
+    
     /**
      * Create a new simulation manager
      * @param {object} config - Configuration object
@@ -21,14 +36,26 @@ class SimulationManager {
         this.particles = [];
         this.forceSystem = new ForceSystem();
         this.config = config;
-        this.particleFactory = new ParticleFactory(config);
+        this.rng = new SeededRandom(config.current.seed);
+        this.particleFactory = new ParticleFactory(config, this.rng);
         this.running = false;
+        this.simulatedTime = 0;    // Simulated time elapsed since initialization
+        this.stepCount = 0;        // Fixed physics steps taken since initialization
+        this.stepAccumulator = 0;  // Fraction of a fixed step owed from previous frames
+        this.absorbedCount = 0;    // Particles removed through absorbing edges
+        this.statsRecorder = new StatsRecorder(config.current.recordBufferLength); // Time series of the stats
+        this.trajectoryRecorder = new TrajectoryRecorder(config.current.trajectoryLength); // Unwrapped particle paths
         this.stats = {
             averageMass: 0,
             clusterCount: 0,
             particlesInClusters: 0,
             distinctClusters: 0,
+            largestCluster: 0,
+            particleCount: 0,
             fps: 0,
+            simulatedTime: 0,
+            stepsLastFrame: 0,
+            substepsLastFrame: 0,  // Integration substeps (more than the steps with the adaptive time step)
             rodParticleCount: 0,  // Track number of rod particles
             circularParticleCount: 0  // Track number of circular particles
         };
@@ -44,6 +71,7 @@ class SimulationManager {
         this.particles = [];
         this.forceSystem = new ForceSystem(); // Reset force system
         this.particleFactory.reset(); // Reset particle ID counter
+        this.rng.setSeed(this.config.current.seed); // Same seed reproduces the same run
         
         // Force refresh the config value to ensure it's current
         const currentType = this.config.current.particleType;
@@ -65,6 +93,14 @@ class SimulationManager {
         );
         
         this.running = false;
+        this.simulatedTime = 0;
+        this.stepCount = 0;
+        this.stepAccumulator = 0;
+        this.absorbedCount = 0;
+        this.stats.stepsLastFrame = 0;
+        this.stats.substepsLastFrame = 0;
+        this.statsRecorder.clear();
+        this.trajectoryRecorder.clear();
         this.updateStats(); // Initialize stats
     }
     
@@ -90,25 +126,132 @@ class SimulationManager {
     }
     
     /**
-     * Update the simulation for one time step
+     * Advance the simulation by the real time elapsed since the last frame
+     * Fixed steps of timeStep / substeps are taken from an accumulator, so the simulated
+     * time per real second depends on simulationSpeed and not on the frame rate
+     * @param {number} elapsedSeconds - Real time since the last update (defaults to one nominal frame)
+     * @returns {object} - Current simulation statistics
      */
-    update() {
+    update(elapsedSeconds = 1 / SimulationManager.NOMINAL_FRAME_RATE) {
         if (!this.running) return;
         
-        // Apply forces between particles
-        this.forceSystem.applyForces(this.particles, this.config.current);
+        const settings = this.config.current;
+        const substeps = Math.max(1, Math.round(settings.substeps));
+        const frameTime = Math.min(Math.max(elapsedSeconds, 0), SimulationManager.MAX_FRAME_TIME);
         
-        // Update each particle
-        for (let particle of this.particles) {
-            particle.update(this.config.current);
+        // Nominal frames owed, each split into substeps fixed steps
+        this.stepAccumulator += frameTime * SimulationManager.NOMINAL_FRAME_RATE * settings.simulationSpeed * substeps;
+        // The tolerance absorbs rounding, so ten frames at 0.1x make exactly one step
+        const steps = Math.floor(this.stepAccumulator + 1e-9);
+        this.stepAccumulator -= steps;
+        
+        // Every fixed step sees the substep's share of timeStep
+        const stepSettings = substeps > 1 ?
+            { ...settings, timeStep: settings.timeStep / substeps } :
+            settings;
+        let substepsUsed = 0;
+        for (let i = 0; i < steps; i++) {
+            substepsUsed += this.step(stepSettings);
         }
+        this.stats.stepsLastFrame = steps;
+        this.stats.substepsLastFrame = substepsUsed;
         
         // Update statistics
         this.updateStats();
+        this.recordStats();
+        this.recordTrajectories();
         
         return this.stats; // Return current stats for external use
     }
     
+    /**
+     * Advance the simulation by one fixed step of settings.timeStep
+     * @param {object} settings - Simulation settings for this step
+     * @returns {number} - Number of integration substeps used
+     */
+    step(settings) {
+        // Apply forces between particles (this also updates the cluster state)
+        this.forceSystem.applyForces(this.particles, settings);
+        
+        // Multi-stage integrators and adaptive substeps re-evaluate the forces through the force system's callback
+        const evaluateForces = this.forceSystem.createForceEvaluator(this.particles, settings);
+        
+        // Advance each particle with the selected integrator
+        let substepsUsed = 1;
+        if (settings.adaptiveTimeStep) {
+            substepsUsed = this.stepAdaptive(settings, evaluateForces);
+        } else {
+            Integrator.step(settings.integrator, this.particles, settings, evaluateForces);
+        }
+        
+        // Drop particles that left through an absorbing edge
+        this.removeAbsorbedParticles();
+        
+        this.simulatedTime += settings.timeStep;
+        this.stepCount++;
+        return substepsUsed;
+    }
+    
+    /**
+     * Advance one fixed step in as many substeps as the adaptive tolerances need
+     * The step size is chosen again before each substep from the current velocities and forces,
+     * so a close encounter is resolved in small steps while the rest of the step stays coarse
+     * @param {object} settings - Simulation settings for this step
+     * @param {function} evaluateForces - Recomputes the accelerations at the current positions
+     * @returns {number} - Number of substeps used
+     */
+    stepAdaptive(settings, evaluateForces) {
+        const maxSubsteps = Math.max(1, Math.round(settings.adaptiveMaxSubsteps));
+        let remaining = settings.timeStep;
+        let substepsUsed = 0;
+        
+        while (true) {
+            // Split what's left into equal substeps within the limit, without exceeding maxSubsteps
+            const limit = Integrator.getAdaptiveStepLimit(this.particles, settings);
+            const count = Math.max(1, Math.min(Math.ceil(remaining / limit), maxSubsteps - substepsUsed));
+            const dt = remaining / count;
+            
+            Integrator.step(
+                settings.integrator,
+                this.particles,
+                { ...settings, timeStep: dt },
+                evaluateForces
+            );
+            substepsUsed++;
+            
+            if (count === 1) break;
+            remaining -= dt;
+            
+            // Forces at the new positions, for the next substep
+            evaluateForces();
+        }
+        
+        return substepsUsed;
+    }
+    
+    /**
+     * Remove the particles that left through an absorbing edge
+     * Survivors are renumbered so IDs keep matching array indices, as the ForceSystem expects
+     * @returns {number} - Number of particles removed
+     */
+    removeAbsorbedParticles() {
+        const survivors = this.particles.filter(particle => !particle.absorbed);
+        const removed = this.particles.length - survivors.length;
+        if (removed === 0) return 0;
+        
+        const idMap = new Map();
+        survivors.forEach((particle, index) => {
+            idMap.set(particle.id, index);
+            particle.id = index;
+        });
+        this.forceSystem.remapParticleIds(idMap);
+        this.trajectoryRecorder.remapParticleIds(idMap);
+        
+        this.particles = survivors;
+        this.absorbedCount += removed;
+        return removed;
+    }
+    
     /**
      * Update simulation statistics
      */
@@ -136,36 +279,137 @@ class SimulationManager {
             }
         }
         
-        this.stats.averageMass = totalMass / this.particles.length;
+        this.stats.averageMass = this.particles.length > 0 ? totalMass / this.particles.length : 0;
         this.stats.clusterCount = totalClusters;
         this.stats.particlesInClusters = particlesInClusters;
         this.stats.distinctClusters = this.forceSystem.getDistinctClusterCount();
-        this.stats.fps = frameRate();
+        this.stats.largestCluster = Math.max(0, ...this.forceSystem.clusterSizes.values());
+        this.stats.particleCount = this.particles.length;
+        this.stats.fps = backend.frameRate();
+        this.stats.simulatedTime = this.simulatedTime;
+        this.stats.stepCount = this.stepCount;
+        this.stats.absorbedCount = this.absorbedCount;
         this.stats.rodParticleCount = rodCount;
         this.stats.circularParticleCount = circularCount;
     }
     
+    /**
+     * Add the current stats to the recorder, every recordInterval steps
+     */
+    recordStats() {
+        const settings = this.config.current;
+        if (!settings.recordingEnabled) return;
+        
+        this.statsRecorder.setCapacity(settings.recordBufferLength);
+        if (this.statsRecorder.isDue(this.stepCount, settings.recordInterval)) {
+            this.statsRecorder.record(this.stats, this.forceSystem.clusterSizes.values());
+        }
+    }
+    
+    /**
+     * Add the particles' unwrapped positions and angles to the trajectory recorder,
+     * every trajectoryInterval steps
+     */
+    recordTrajectories() {
+        const settings = this.config.current;
+        if (!settings.trajectoryEnabled) return;
+        
+        this.trajectoryRecorder.setCapacity(settings.trajectoryLength);
+        if (this.trajectoryRecorder.isDue(this.stepCount, settings.trajectoryInterval)) {
+            this.trajectoryRecorder.record(this.particles, this.simulatedTime, this.stepCount);
+        }
+    }
+    
+    /**
+     * Capture the complete simulation state
+     * Settings, every particle's dynamic state, the force system's frame-to-frame
+     * state and the random generator, so a run can be resumed exactly
+     * @returns {object} - Plain, JSON-serializable snapshot
+     */
+    createSnapshot() {
+        return {
+            settings: this.config.copySettings(this.config.current),
+            particles: this.particles.map(particle => particle.getState()),
+            forceSystem: this.forceSystem.getState(),
+            rng: this.rng.getState(),
+            nextParticleId: this.particleFactory.particleCount,
+            simulatedTime: this.simulatedTime,
+            stepCount: this.stepCount,
+            absorbedCount: this.absorbedCount,
+            timestamp: Date.now()
+        };
+    }
+    
+    /**
+     * Restore a snapshot created by createSnapshot
+     * The simulation is left paused
+     * @param {object} snapshot - Snapshot to restore
+     */
+    restoreSnapshot(snapshot) {
+        // Build everything that can fail before touching the current state,
+        // so a rejected snapshot leaves the simulation as it was
+        const particles = snapshot.particles.map(state => this.particleFactory.createFromState(state));
+        const forceSystem = new ForceSystem();
+        forceSystem.setState(snapshot.forceSystem || {});
+        
+        this.config.current = this.config.copySettings(Object.assign({}, this.config.defaults, snapshot.settings));
+        this.forceSystem = forceSystem;
+        this.rng.setState(snapshot.rng);
+        this.particleFactory.particleCount = snapshot.nextParticleId;
+        this.particles = particles;
+        
+        this.simulatedTime = snapshot.simulatedTime || 0;
+        this.stepCount = snapshot.stepCount || 0;
+        this.absorbedCount = snapshot.absorbedCount || 0;
+        this.stepAccumulator = 0;
+        this.statsRecorder.clear(); // The recording restarts from the restored step
+        this.trajectoryRecorder.clear();
+        
+        this.running = false;
+        this.updateStats();
+    }
+    
+    /**
+     * Save a snapshot to local storage
+     * @returns {object|null} - The saved snapshot, or null if local storage is unavailable
+     */
+    saveSnapshot() {
+        if (typeof localStorage === 'undefined') return null;
+        
+        const snapshot = this.createSnapshot();
+        localStorage.setItem('simulationSnapshot', JSON.stringify(snapshot));
+        return snapshot;
+    }
+    
+    /**
+     * Restore the snapshot saved in local storage
+     * @returns {boolean} - True if a snapshot was restored
+     */
+    loadSnapshot() {
+        if (typeof localStorage === 'undefined') return false;
+        
+        const savedSnapshot = localStorage.getItem('simulationSnapshot');
+        if (savedSnapshot) {
+            this.restoreSnapshot(JSON.parse(savedSnapshot));
+            return true;
+        }
+        return false;
+    }
+    
     /**
      * Render the simulation
      * @param {Renderer} renderer - The renderer instance to use
      */
     render(renderer) {
-        console.log('SimulationManager.render called with', this.particles.length, 'particles');
-        
         if (renderer) {
             // Use the provided renderer
-            console.log('Using external renderer');
             renderer.render();
         } else {
             // Fallback to basic rendering if no renderer is provided
-            console.log('Using fallback rendering (particle.display)');
             background(240);
             
             // Draw each particle
             for (let particle of this.particles) {
-                // Debug: Log the type of particle being rendered
-                const isRod = particle instanceof RodParticle;
-                console.log('Rendering particle using display():', isRod ? 'ROD' : 'CIRCULAR');
                 particle.display();
             }
         }
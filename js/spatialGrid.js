@@ -0,0 +1,219 @@
+/**
+ * Spatial grid module
+ * Uniform grid (spatial hash) used as a broad phase for pair interactions
+ */
+class SpatialGrid {
+    /**
+     * Create a new spatial grid
+     * @param {number} cellSize - Width and height of each grid cell
+     */
+    constructor(cellSize = 100) {
+        this.cellSize = cellSize;
+        this.cellWidth = cellSize;
+        this.cellHeight = cellSize;
+        this.periodic = false;
+        this.width = 0;
+        this.height = 0;
+        this.cols = 0;
+        this.rows = 0;
+        this.cells = [];
+
+        // Bounding boxes of the binned particles, indexed by particle array index
+        this.bounds = [];
+
+        // Largest particle extent seen while binning (half length of the longest rod)
+        this.maxExtent = 0;
+
+        // Per-particle marker used to avoid reporting the same pair twice
+        this.visited = [];
+    }
+
+    /**
+     * Get the extent of a particle around its center
+     * Circular particles are binned as points, rods cover both endpoints
+     * @param {Particle} particle - The particle to measure
+     * @returns {number} - Half of the particle's extent
+     */
+    static getExtent(particle) {
+        if (particle instanceof RodParticle) {
+            return particle.length / 2;
+        }
+        return 0;
+    }
+
+    /**
+     * Bin all particles into the grid
+     * Each particle is inserted into every cell its bounding box overlaps,
+     * so rods are found from either end
+     * @param {Array} particles - Array of all particles in the simulation
+     * @param {number} width - Width of the simulation area
+     * @param {number} height - Height of the simulation area
+     * @param {number} cellSize - Optional new cell size
+     * @param {boolean} periodic - Whether the grid wraps around the edges
+     */
+    build(particles, width, height, cellSize = this.cellSize, periodic = false) {
+        this.cellSize = Math.max(1, cellSize);
+        this.periodic = periodic;
+        this.width = width;
+        this.height = height;
+        if (periodic) {
+            // Cells must tile the area exactly to wrap, so they are stretched to at least cellSize
+            this.cols = Math.max(1, Math.floor(width / this.cellSize));
+            this.rows = Math.max(1, Math.floor(height / this.cellSize));
+            this.cellWidth = width / this.cols;
+            this.cellHeight = height / this.rows;
+        } else {
+            this.cols = Math.max(1, Math.ceil(width / this.cellSize));
+            this.rows = Math.max(1, Math.ceil(height / this.cellSize));
+            this.cellWidth = this.cellSize;
+            this.cellHeight = this.cellSize;
+        }
+        this.cells = new Array(this.cols * this.rows);
+        for (let c = 0; c < this.cells.length; c++) {
+            this.cells[c] = [];
+        }
+
+        this.bounds = new Array(particles.length);
+        this.visited = new Array(particles.length).fill(-1);
+        this.maxExtent = 0;
+
+        for (let i = 0; i < particles.length; i++) {
+            const particle = particles[i];
+            const extent = SpatialGrid.getExtent(particle);
+            this.maxExtent = Math.max(this.maxExtent, extent);
+
+            const box = {
+                x: particle.position.x,
+                y: particle.position.y,
+                extent: extent,
+                minX: particle.position.x - extent,
+                minY: particle.position.y - extent,
+                maxX: particle.position.x + extent,
+                maxY: particle.position.y + extent
+            };
+            this.bounds[i] = box;
+
+            const cols = this.getColumns(box.minX, box.maxX);
+            const rows = this.getRows(box.minY, box.maxY);
+
+            for (const row of rows) {
+                for (const col of cols) {
+                    this.cells[row * this.cols + col].push(i);
+                }
+            }
+        }
+    }
+
+    /**
+     * Convert an x coordinate to a (clamped) column index
+     * @param {number} x - X coordinate
+     * @returns {number} - Column index
+     */
+    toCol(x) {
+        return Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellWidth)));
+    }
+
+    /**
+     * Convert a y coordinate to a (clamped) row index
+     * @param {number} y - Y coordinate
+     * @returns {number} - Row index
+     */
+    toRow(y) {
+        return Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellHeight)));
+    }
+
+    /**
+     * Get the columns covering an x range, clamped to the grid or wrapped around it
+     * @param {number} minX - Left end of the range
+     * @param {number} maxX - Right end of the range
+     * @returns {Array<number>} - Column indices, each listed once
+     */
+    getColumns(minX, maxX) {
+        return this.getAxisCells(minX, maxX, this.cellWidth, this.cols, (x) => this.toCol(x));
+    }
+
+    /**
+     * Get the rows covering a y range, clamped to the grid or wrapped around it
+     * @param {number} minY - Top end of the range
+     * @param {number} maxY - Bottom end of the range
+     * @returns {Array<number>} - Row indices, each listed once
+     */
+    getRows(minY, maxY) {
+        return this.getAxisCells(minY, maxY, this.cellHeight, this.rows, (y) => this.toRow(y));
+    }
+
+    /**
+     * Get the cell indices covering a range along one axis
+     * @param {number} min - Start of the range
+     * @param {number} max - End of the range
+     * @param {number} cellSize - Cell size along the axis
+     * @param {number} count - Number of cells along the axis
+     * @param {function} toIndex - Clamped coordinate to index conversion
+     * @returns {Array<number>} - Cell indices, each listed once
+     */
+    getAxisCells(min, max, cellSize, count, toIndex) {
+        const cells = [];
+        if (!this.periodic) {
+            for (let c = toIndex(min); c <= toIndex(max); c++) {
+                cells.push(c);
+            }
+            return cells;
+        }
+
+        // Wrap around, without listing a cell twice when the range covers the whole axis
+        const first = Math.floor(min / cellSize);
+        const last = Math.min(Math.floor(max / cellSize), first + count - 1);
+        for (let c = first; c <= last; c++) {
+            cells.push(((c % count) + count) % count);
+        }
+        return cells;
+    }
+
+    /**
+     * Visit every candidate pair whose bounding boxes lie within a given range
+     * Candidates are a superset of the pairs within range; callers still
+     * measure the exact distance. Each pair is reported once with i < j.
+     * @param {number} range - Maximum gap between the two bounding boxes
+     * @param {function} callback - Called with (i, j) for each candidate pair
+     */
+    forEachCandidatePair(range, callback) {
+        // Markers from an earlier pass over the same build would hide its pairs
+        this.visited.fill(-1);
+
+        // Binned positions lie inside the area (or within a step's motion of it),
+        // so center offsets are off by at most one period
+        const halfWidth = this.width / 2;
+        const halfHeight = this.height / 2;
+
+        for (let i = 0; i < this.bounds.length; i++) {
+            const box = this.bounds[i];
+            const cols = this.getColumns(box.minX - range, box.maxX + range);
+            const rows = this.getRows(box.minY - range, box.maxY + range);
+
+            for (const row of rows) {
+                for (const col of cols) {
+                    const cell = this.cells[row * this.cols + col];
+                    for (let k = 0; k < cell.length; k++) {
+                        const j = cell[k];
+                        if (j <= i || this.visited[j] === i) continue;
+                        this.visited[j] = i;
+
+                        // The cells scanned reach up to a cell further than the range,
+                        // so skip boxes that are too far apart along either axis
+                        const other = this.bounds[j];
+                        const reach = range + box.extent + other.extent;
+                        let dx = other.x - box.x;
+                        let dy = other.y - box.y;
+                        if (this.periodic) {
+                            dx = Boundary.wrapNearDelta(dx, this.width, halfWidth);
+                            dy = Boundary.wrapNearDelta(dy, this.height, halfHeight);
+                        }
+                        if (Math.abs(dx) > reach || Math.abs(dy) > reach) continue;
+
+                        callback(i, j);
+                    }
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * Stats recorder module
+ * Keeps a time series of the simulation statistics in a ring buffer, for export as CSV or JSON
+ *
+ * A sample is a copy of every simulation stat (stepCount and simulatedTime give its time)
+ * plus clusterSizes: the number of clusters of each size, as { size: count }
+ */
+class StatsRecorder {
+    /**
+     * Create an empty recorder
+     * @param {number} capacity - Number of samples kept; the oldest are overwritten
+     */
+    constructor(capacity = 1000) {
+        this.capacity = Math.max(1, Math.round(capacity));
+        this.samples = new Array(this.capacity);
+        this.start = 0;   // Buffer index of the oldest sample
+        this.length = 0;  // Number of samples held
+        this.lastStep = null; // Step of the latest sample
+    }
+
+    /**
+     * Remove all samples
+     */
+    clear() {
+        this.samples = new Array(this.capacity);
+        this.start = 0;
+        this.length = 0;
+        this.lastStep = null;
+    }
+
+    /**
+     * Change the number of samples kept, keeping the latest ones
+     * @param {number} capacity - New capacity
+     */
+    setCapacity(capacity) {
+        capacity = Math.max(1, Math.round(capacity));
+        if (capacity === this.capacity) return;
+
+        const kept = this.getSamples().slice(-capacity);
+        this.capacity = capacity;
+        this.samples = new Array(capacity);
+        kept.forEach((sample, i) => {
+            this.samples[i] = sample;
+        });
+        this.start = 0;
+        this.length = kept.length;
+    }
+
+    /**
+     * Check whether a sample is due
+     * @param {number} stepCount - Steps taken so far
+     * @param {number} interval - Steps between samples
+     * @returns {boolean} - True if no sample was taken in the last interval steps
+     */
+    isDue(stepCount, interval) {
+        return this.lastStep === null || stepCount - this.lastStep >= Math.max(1, interval);
+    }
+
+    /**
+     * Add a sample, overwriting the oldest one when the buffer is full
+     * @param {object} stats - Simulation statistics
+     * @param {Iterable<number>} clusterSizes - Size of every current cluster
+     */
+    record(stats, clusterSizes) {
+        const sample = Object.assign({}, stats);
+        sample.clusterSizes = StatsRecorder.countSizes(clusterSizes);
+
+        const index = (this.start + this.length) % this.capacity;
+        this.samples[index] = sample;
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+        this.lastStep = stats.stepCount;
+    }
+
+    /**
+     * Count clusters by size
+     * @param {Iterable<number>} clusterSizes - Size of every cluster
+     * @returns {object} - { size: count }
+     */
+    static countSizes(clusterSizes) {
+        const counts = {};
+        for (const size of clusterSizes) {
+            counts[size] = (counts[size] || 0) + 1;
+        }
+        return counts;
+    }
+
+    /**
+     * Get the samples held, oldest first
+     * @returns {Array<object>} - Samples
+     */
+    getSamples() {
+        const samples = [];
+        for (let i = 0; i < this.length; i++) {
+            samples.push(this.samples[(this.start + i) % this.capacity]);
+        }
+        return samples;
+    }
+
+    /**
+     * Get the samples as a JSON-serializable object
+     * @param {object} settings - Settings to include with the samples (optional)
+     * @returns {object} - { settings, samples }
+     */
+    toJSON(settings = null) {
+        return {
+            settings,
+            samples: this.getSamples()
+        };
+    }
+
+    /**
+     * Get the samples as CSV lines
+     * One column per stat, then one clusters_size_N column per cluster size seen
+     * @returns {Array<string>} - Header line followed by one line per sample
+     */
+    toCSV() {
+        const samples = this.getSamples();
+        if (samples.length === 0) {
+            return [];
+        }
+
+        // Stat columns from the latest sample (older samples may lack newer stats)
+        const statKeys = Object.keys(samples[samples.length - 1]).filter(key => key !== 'clusterSizes');
+        const sizes = new Set();
+        samples.forEach(sample => {
+            Object.keys(sample.clusterSizes).forEach(size => sizes.add(Number(size)));
+        });
+        const sizeColumns = Array.from(sizes).sort((a, b) => a - b);
+
+        const lines = [statKeys.concat(sizeColumns.map(size => `clusters_size_${size}`)).join(',')];
+        samples.forEach(sample => {
+            const values = statKeys.map(key => (sample[key] !== undefined ? sample[key] : ''));
+            sizeColumns.forEach(size => values.push(sample.clusterSizes[size] || 0));
+            lines.push(values.join(','));
+        });
+        return lines;
+    }
+}
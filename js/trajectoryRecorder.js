@@ -0,0 +1,368 @@
+/**
+ * Trajectory recorder module
+ * Keeps the unwrapped positions and angles of every particle over recent frames, and computes
+ * the mean squared displacement MSD(t), the rods' mean squared angular displacement and
+ * fitted diffusion coefficients
+ *
+ * A frame holds, per particle ID, the unwrapped position (Particle.getUnwrappedPosition),
+ * the unwrapped angle of a rod (NaN for a circle) and whether the particle was in a cluster.
+ * Displacements over a lag are averaged over every particle and every frame they can start from;
+ * the free/clustered split uses the particle's state at the start of the interval.
+ * The squared displacements are kept as running sums per lag: a new frame adds its
+ * displacement from the frame one lag back, and each frame keeps what it added as the start
+ * of an interval, so dropping it takes exactly that back out.
+ */
+class TrajectoryRecorder {
+    /**
+     * Particle groups and their display names
+     */
+    static get GROUPS() {
+        return {
+            all: 'All',
+            free: 'Free',
+            clustered: 'Clustered',
+            circle: 'Circles',
+            rod: 'Rods'
+        };
+    }
+
+    /**
+     * Rod groups of the angular displacement and their display names
+     */
+    static get ROTATION_GROUPS() {
+        return {
+            all: 'All rods',
+            free: 'Free rods',
+            clustered: 'Clustered rods'
+        };
+    }
+
+    /**
+     * Most lags evaluated; lags are spread evenly on a log scale
+     */
+    static get MAX_LAGS() {
+        return 24;
+    }
+
+    /**
+     * Create an empty recorder
+     * @param {number} capacity - Number of frames kept; the oldest are dropped
+     */
+    constructor(capacity = 200) {
+        this.capacity = Math.max(2, Math.round(capacity));
+        this.lags = TrajectoryRecorder.getLags(this.capacity);
+        this.clear();
+    }
+
+    /**
+     * Remove all frames
+     */
+    clear() {
+        this.frames = [];     // Frames as { time, x, y, angle, clustered, added }, oldest first
+        this.lastStep = null; // Step of the latest frame
+        this.sums = this.lags.map(() => TrajectoryRecorder.createSums());
+    }
+
+    /**
+     * Change the number of frames kept, keeping the latest ones
+     * The lags follow the capacity, so the running sums are rebuilt
+     * @param {number} capacity - New capacity
+     */
+    setCapacity(capacity) {
+        capacity = Math.max(2, Math.round(capacity));
+        if (capacity === this.capacity) return;
+
+        this.capacity = capacity;
+        this.lags = TrajectoryRecorder.getLags(capacity);
+        const frames = this.frames.slice(Math.max(0, this.frames.length - capacity));
+        const lastStep = this.lastStep;
+        this.clear();
+        frames.forEach(frame => this.addFrame(frame));
+        this.lastStep = lastStep;
+    }
+
+    /**
+     * Check whether a frame is due
+     * @param {number} stepCount - Steps taken so far
+     * @param {number} interval - Steps between frames
+     * @returns {boolean} - True if no frame was taken in the last interval steps
+     */
+    isDue(stepCount, interval) {
+        return this.lastStep === null || stepCount - this.lastStep >= Math.max(1, interval);
+    }
+
+    /**
+     * Add a frame of the particles' unwrapped positions and angles
+     * @param {Array<Particle>} particles - All particles (index = ID)
+     * @param {number} time - Simulated time
+     * @param {number} stepCount - Steps taken so far
+     */
+    record(particles, time, stepCount) {
+        const count = particles.length;
+        const frame = {
+            time,
+            x: new Float64Array(count),
+            y: new Float64Array(count),
+            angle: new Float64Array(count),
+            clustered: new Uint8Array(count)
+        };
+        particles.forEach((particle, id) => {
+            const position = particle.getUnwrappedPosition();
+            frame.x[id] = position.x;
+            frame.y[id] = position.y;
+            frame.angle[id] = particle instanceof RodParticle ? particle.getUnwrappedAngle() : NaN;
+            frame.clustered[id] = particle.inCluster ? 1 : 0;
+        });
+
+        this.addFrame(frame);
+        this.lastStep = stepCount;
+    }
+
+    /**
+     * Append a frame, add its displacements to the running sums and drop the oldest frames
+     * @param {object} frame - Frame as { time, x, y, angle, clustered }
+     */
+    addFrame(frame) {
+        frame.added = this.lags.map(() => null); // Sums added with this frame as the start, per lag
+        this.frames.push(frame);
+
+        const latest = this.frames.length - 1;
+        this.lags.forEach((lag, index) => {
+            if (lag > latest) return;
+
+            const start = this.frames[latest - lag];
+            const added = TrajectoryRecorder.getDisplacementSums(start, frame);
+            start.added[index] = added;
+            TrajectoryRecorder.addSums(this.sums[index], added, 1);
+        });
+
+        while (this.frames.length > this.capacity) {
+            const dropped = this.frames.shift();
+            dropped.added.forEach((added, index) => {
+                if (added) TrajectoryRecorder.addSums(this.sums[index], added, -1);
+            });
+        }
+    }
+
+    /**
+     * Create empty displacement sums
+     * @returns {object} - { translation: { group: { sum, count } }, rotation: { group: { sum, count } } }
+     */
+    static createSums() {
+        const sums = { translation: {}, rotation: {} };
+        Object.keys(TrajectoryRecorder.GROUPS).forEach(group => {
+            sums.translation[group] = { sum: 0, count: 0 };
+        });
+        Object.keys(TrajectoryRecorder.ROTATION_GROUPS).forEach(group => {
+            sums.rotation[group] = { sum: 0, count: 0 };
+        });
+        return sums;
+    }
+
+    /**
+     * Add (or, with a sign of -1, remove) displacement sums
+     * @param {object} target - Sums added to
+     * @param {object} source - Sums added
+     * @param {number} sign - 1 to add, -1 to remove
+     */
+    static addSums(target, source, sign) {
+        ['translation', 'rotation'].forEach(kind => {
+            Object.keys(target[kind]).forEach(group => {
+                target[kind][group].sum += sign * source[kind][group].sum;
+                target[kind][group].count += sign * source[kind][group].count;
+            });
+        });
+    }
+
+    /**
+     * Sum the squared displacements of every particle between two frames
+     * @param {object} from - Earlier frame; its cluster states pick the free/clustered groups
+     * @param {object} to - Later frame
+     * @returns {object} - Sums as from createSums
+     */
+    static getDisplacementSums(from, to) {
+        // Accumulated in arrays indexed like the groups, then copied into the sums
+        const translationKeys = Object.keys(TrajectoryRecorder.GROUPS);
+        const rotationKeys = Object.keys(TrajectoryRecorder.ROTATION_GROUPS);
+        const all = 0;
+        const free = translationKeys.indexOf('free');
+        const clustered = translationKeys.indexOf('clustered');
+        const circle = translationKeys.indexOf('circle');
+        const rod = translationKeys.indexOf('rod');
+        const rotationIndex = translationKeys.map(group => rotationKeys.indexOf(group)); // all, free and clustered
+        const translation = new Float64Array(translationKeys.length);
+        const translationCounts = new Float64Array(translationKeys.length);
+        const rotation = new Float64Array(rotationKeys.length);
+        const rotationCounts = new Float64Array(rotationKeys.length);
+
+        const count = Math.min(from.x.length, to.x.length);
+        for (let id = 0; id < count; id++) {
+            const dx = to.x[id] - from.x[id];
+            const dy = to.y[id] - from.y[id];
+            const squared = dx * dx + dy * dy;
+            const state = from.clustered[id] ? clustered : free;
+            const isRod = !Number.isNaN(from.angle[id]);
+            const species = isRod ? rod : circle;
+            translation[all] += squared;
+            translation[state] += squared;
+            translation[species] += squared;
+            translationCounts[all]++;
+            translationCounts[state]++;
+            translationCounts[species]++;
+
+            if (isRod) {
+                const turn = to.angle[id] - from.angle[id];
+                rotation[rotationIndex[all]] += turn * turn;
+                rotation[rotationIndex[state]] += turn * turn;
+                rotationCounts[rotationIndex[all]]++;
+                rotationCounts[rotationIndex[state]]++;
+            }
+        }
+
+        const sums = TrajectoryRecorder.createSums();
+        translationKeys.forEach((group, index) => {
+            sums.translation[group] = { sum: translation[index], count: translationCounts[index] };
+        });
+        rotationKeys.forEach((group, index) => {
+            sums.rotation[group] = { sum: rotation[index], count: rotationCounts[index] };
+        });
+        return sums;
+    }
+
+    /**
+     * Renumber the particle IDs in every frame
+     * Called when particles are removed, so IDs keep matching array indices; the displacements
+     * already summed keep the removed particles
+     * @param {Map<number, number>} idMap - Old ID to new ID; IDs missing from the map were removed
+     */
+    remapParticleIds(idMap) {
+        this.frames = this.frames.map(frame => {
+            const remapped = {
+                time: frame.time,
+                x: new Float64Array(idMap.size),
+                y: new Float64Array(idMap.size),
+                angle: new Float64Array(idMap.size),
+                clustered: new Uint8Array(idMap.size),
+                added: frame.added
+            };
+            for (const [oldId, newId] of idMap) {
+                if (oldId >= frame.x.length) continue;
+                remapped.x[newId] = frame.x[oldId];
+                remapped.y[newId] = frame.y[oldId];
+                remapped.angle[newId] = frame.angle[oldId];
+                remapped.clustered[newId] = frame.clustered[oldId];
+            }
+            return remapped;
+        });
+    }
+
+    /**
+     * Get the trajectory of one particle
+     * @param {number} particleId - Particle ID
+     * @returns {Array<object>} - Points as { time, x, y, angle, clustered }, oldest first
+     */
+    getTrajectory(particleId) {
+        return this.frames
+            .filter(frame => particleId < frame.x.length)
+            .map(frame => ({
+                time: frame.time,
+                x: frame.x[particleId],
+                y: frame.y[particleId],
+                angle: Number.isNaN(frame.angle[particleId]) ? null : frame.angle[particleId],
+                clustered: frame.clustered[particleId] === 1
+            }));
+    }
+
+    /**
+     * Get the lags, in frames, at which the displacements are evaluated
+     * @param {number} frameCount - Number of frames held
+     * @returns {Array<number>} - Increasing lags from 1 to frameCount - 1
+     */
+    static getLags(frameCount) {
+        const longest = frameCount - 1;
+        if (longest < 1) return [];
+
+        const lags = new Set();
+        const count = Math.min(TrajectoryRecorder.MAX_LAGS, longest);
+        for (let i = 0; i < count; i++) {
+            lags.add(Math.round(Math.pow(longest, count > 1 ? i / (count - 1) : 1)));
+        }
+        return Array.from(lags).sort((a, b) => a - b);
+    }
+
+    /**
+     * Get the translational MSD of each group and the rods' rotational MSD from the running sums
+     * Only lags spanned by the frames held are included
+     * @returns {object} - { lags, times, translation: { group: { msd, counts } }, rotation: { group: { msd, counts } } }
+     */
+    getMeanSquaredDisplacement() {
+        const frames = this.frames;
+        const indices = [];
+        this.lags.forEach((lag, index) => {
+            if (lag < frames.length) indices.push(index);
+        });
+
+        const toSeries = (kind, group) => {
+            const counts = indices.map(index => this.sums[index][kind][group].count);
+            const msd = indices.map((index, i) => (counts[i] > 0 ? this.sums[index][kind][group].sum / counts[i] : null));
+            return { msd, counts };
+        };
+        const translation = {};
+        Object.keys(TrajectoryRecorder.GROUPS).forEach(group => {
+            translation[group] = toSeries('translation', group);
+        });
+        const rotation = {};
+        Object.keys(TrajectoryRecorder.ROTATION_GROUPS).forEach(group => {
+            rotation[group] = toSeries('rotation', group);
+        });
+
+        const lags = indices.map(index => this.lags[index]);
+        return {
+            lags,
+            times: lags.map(lag => frames[lag].time - frames[0].time),
+            translation,
+            rotation
+        };
+    }
+
+    /**
+     * Fit the diffusion coefficient and the anomalous exponent of a mean squared displacement
+     * Over the longest decade of lag times: D from the least-squares slope of MSD against t,
+     * MSD = 2 d D t in d dimensions, and alpha from the slope of log MSD against log t
+     * (1 for diffusion, 2 for ballistic motion, below 1 when motion is caged or confined)
+     * @param {Array<number>} times - Lag times
+     * @param {Array<number|null>} msd - Mean squared displacements
+     * @param {number} dimensions - 2 for positions, 1 for angles
+     * @returns {object|null} - { coefficient, exponent }, or null with fewer than three points
+     */
+    static fitDiffusion(times, msd, dimensions) {
+        const longest = times[times.length - 1];
+        const points = [];
+        times.forEach((time, index) => {
+            if (time >= longest / 10 && time > 0 && msd[index] !== null) {
+                points.push({ time, value: msd[index] });
+            }
+        });
+        if (points.length < 3) return null;
+
+        const slope = (pairs) => {
+            const meanX = pairs.reduce((sum, pair) => sum + pair[0], 0) / pairs.length;
+            const meanY = pairs.reduce((sum, pair) => sum + pair[1], 0) / pairs.length;
+            let covariance = 0;
+            let variance = 0;
+            for (const [x, y] of pairs) {
+                covariance += (x - meanX) * (y - meanY);
+                variance += (x - meanX) * (x - meanX);
+            }
+            return variance > 0 ? covariance / variance : 0;
+        };
+
+        const logPoints = points.filter(point => point.value > 0);
+        return {
+            coefficient: slope(points.map(point => [point.time, point.value])) / (2 * dimensions),
+            exponent: logPoints.length >= 3 ?
+                slope(logPoints.map(point => [Math.log(point.time), Math.log(point.value)])) :
+                null
+        };
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * Transition profile module
+ * Weights used to blend the force regimes around thresholdDistance
+ */
+class TransitionProfile {
+    /**
+     * Available profiles and their display names
+     */
+    static get PROFILES() {
+        return {
+            step: 'Step',
+            linear: 'Linear',
+            sigmoid: 'Sigmoid',
+            smoothstep: 'Smoothstep'
+        };
+    }
+
+    /**
+     * Steepness of the sigmoid profile across its band
+     */
+    static get SIGMOID_STEEPNESS() {
+        return 10;
+    }
+
+    /**
+     * Get the weight of the outer regime at a distance from a band edge
+     * The weight rises from 0 to 1 across a band of the given width centred on the edge,
+     * so every profile crosses 0.5 at the edge itself
+     * @param {string} profile - Profile name ('step', 'linear', 'sigmoid' or 'smoothstep')
+     * @param {number} distance - Distance between the particles
+     * @param {number} edge - Distance at the centre of the band
+     * @param {number} width - Width of the band (0 behaves like a step)
+     * @returns {number} - Weight between 0 (inside) and 1 (outside)
+     */
+    static weight(profile, distance, edge, width) {
+        if (profile === 'step' || !(width > 0)) {
+            return distance > edge ? 1 : 0;
+        }
+
+        // Position across the band, from 0 at the inner side to 1 at the outer side
+        const t = Math.min(Math.max((distance - edge) / width + 0.5, 0), 1);
+
+        switch (profile) {
+            case 'linear':
+                return t;
+            case 'smoothstep':
+                return t * t * (3 - 2 * t);
+            case 'sigmoid': {
+                // Logistic curve rescaled to reach exactly 0 and 1 at the band sides
+                const k = TransitionProfile.SIGMOID_STEEPNESS;
+                const logistic = (x) => 1 / (1 + Math.exp(-k * x));
+                const low = logistic(-0.5);
+                return (logistic(t - 0.5) - low) / (logistic(0.5) - low);
+            }
+            default:
+                return distance > edge ? 1 : 0;
+        }
+    }
+}
@@ -0,0 +1,240 @@
+/**
+ * UI Charts module
+ * Contains the live time-series charts in the statistics panel, drawn on plain canvases
+ */
+
+/**
+ * Get the series that can be charted
+ * @returns {Array<object>} - Series as { key, label, color, value(stats), digits }
+ */
+UIController.prototype.getChartSeries = function() {
+    return [
+        { key: 'distinctClusters', label: 'Distinct Clusters', color: '#2196F3', digits: 0,
+            value: (stats) => stats.distinctClusters },
+        { key: 'largestCluster', label: 'Largest Cluster', color: '#9C27B0', digits: 0,
+            value: (stats) => stats.largestCluster },
+        { key: 'clusteredFraction', label: 'Fraction in Clusters', color: '#4CAF50', digits: 2,
+            value: (stats) => (stats.particleCount > 0 ? stats.particlesInClusters / stats.particleCount : 0) },
+        { key: 'averageMass', label: 'Avg Mass', color: '#FF9800', digits: 2,
+            value: (stats) => stats.averageMass },
+        { key: 'rodParticleCount', label: 'Rod Particles', color: '#795548', digits: 0,
+            value: (stats) => stats.rodParticleCount },
+        { key: 'circularParticleCount', label: 'Circular Particles', color: '#607D8B', digits: 0,
+            value: (stats) => stats.circularParticleCount }
+    ];
+};
+
+/**
+ * Create the chart controls and the chart list
+ * @param {p5.Element} container - Parent container (the statistics panel)
+ */
+UIController.prototype.createStatsCharts = function(container) {
+    const chartsDiv = createDiv();
+    chartsDiv.parent(container);
+
+    // All charts or only the pinned ones
+    this.createButtonGroup(
+        chartsDiv,
+        'chartsShown',
+        'Charts',
+        { all: 'All', pinned: 'Pinned Only' },
+        this.config.current.chartsShown,
+        (value) => {
+            this.config.updateSetting('chartsShown', value);
+            this.layoutStatsCharts();
+        }
+    );
+
+    // Time span shown
+    this.createSlider(
+        chartsDiv,
+        'chartWindow',
+        'Chart Window (s)',
+        5, UIController.MAX_CHART_WINDOW,
+        this.config.current.chartWindow,
+        5,
+        (value) => {
+            this.config.updateSetting('chartWindow', value);
+            this.drawStatsCharts();
+        }
+    );
+
+    this.statsChartList = createDiv();
+    this.statsChartList.parent(chartsDiv);
+    this.statsCharts = [];
+    this.chartHistory = []; // Points as { time, values: { key: value } }
+
+    this.addRedrawControl('statsCharts', () => this.layoutStatsCharts());
+
+    this.layoutStatsCharts();
+};
+
+/**
+ * Rebuild the chart list: pinned series first, then the rest unless only pinned ones are shown
+ */
+UIController.prototype.layoutStatsCharts = function() {
+    if (!this.statsChartList) return;
+
+    this.statsChartList.html('');
+    const pinned = this.config.current.pinnedCharts || [];
+    const series = this.getChartSeries();
+    const ordered = series.filter(entry => pinned.includes(entry.key));
+    if (this.config.current.chartsShown !== 'pinned') {
+        ordered.push(...series.filter(entry => !pinned.includes(entry.key)));
+    }
+
+    this.statsCharts = ordered.map(entry => {
+        const row = createDiv();
+        row.parent(this.statsChartList);
+
+        // Pin toggle and the latest value
+        const pinBtn = createButton(pinned.includes(entry.key) ? 'Unpin' : 'Pin');
+        pinBtn.parent(row);
+        pinBtn.style('padding', '2px 6px');
+        pinBtn.style('font-size', '11px');
+        pinBtn.mousePressed(() => {
+            this.toggleChartPin(entry.key);
+        });
+
+        const label = createSpan(entry.label);
+        label.parent(row);
+        label.style('font-size', '12px');
+
+        // Plain canvas element, so the chart doesn't touch the main p5 sketch
+        const canvas = createElement('canvas');
+        canvas.parent(row);
+        canvas.attribute('width', '220');
+        canvas.attribute('height', '40');
+        canvas.style('display', 'block');
+        canvas.style('border', '1px solid #ddd');
+        canvas.style('margin', '2px 0 6px 0');
+
+        return { series: entry, label, canvas };
+    });
+
+    this.drawStatsCharts();
+};
+
+/**
+ * Pin or unpin a chart series
+ * @param {string} key - Series key
+ */
+UIController.prototype.toggleChartPin = function(key) {
+    const pinned = (this.config.current.pinnedCharts || []).slice();
+    const index = pinned.indexOf(key);
+    if (index >= 0) {
+        pinned.splice(index, 1);
+    } else {
+        pinned.push(key);
+    }
+    this.config.updateSetting('pinnedCharts', pinned);
+    this.layoutStatsCharts();
+};
+
+/**
+ * Add the latest stats to the chart history and redraw the charts
+ * Points are keyed by simulated time, so the charts hold still while paused
+ * @param {object} stats - Simulation statistics
+ */
+UIController.prototype.updateStatsCharts = function(stats) {
+    if (!this.statsChartList) return;
+
+    const time = stats.simulatedTime;
+    const last = this.chartHistory[this.chartHistory.length - 1];
+    if (last && time === last.time) return;
+    if (last && time < last.time) {
+        // Reset or restored snapshot
+        this.chartHistory = [];
+    }
+
+    const values = {};
+    this.getChartSeries().forEach(entry => {
+        values[entry.key] = entry.value(stats);
+    });
+    this.chartHistory.push({ time, values });
+
+    // Keep the longest selectable window
+    const horizon = time - this.getChartWindowLength(UIController.MAX_CHART_WINDOW);
+    const firstKept = this.chartHistory.findIndex(point => point.time >= horizon);
+    if (firstKept > 0) {
+        this.chartHistory.splice(0, firstKept);
+    }
+
+    this.drawStatsCharts();
+};
+
+/**
+ * Convert a chart window in seconds at 1x speed into simulated time
+ * @param {number} seconds - Window length in seconds
+ * @returns {number} - Window length in simulated time
+ */
+UIController.prototype.getChartWindowLength = function(seconds) {
+    return seconds * SimulationManager.NOMINAL_FRAME_RATE * this.config.current.timeStep;
+};
+
+/**
+ * Draw every chart over the chosen window, each scaled to its own range
+ */
+UIController.prototype.drawStatsCharts = function() {
+    if (!this.statsCharts) return;
+
+    const history = this.chartHistory;
+    const end = history.length > 0 ? history[history.length - 1].time : 0;
+    const windowLength = this.getChartWindowLength(this.config.current.chartWindow);
+    const start = end - windowLength;
+    const points = history.filter(point => point.time >= start);
+
+    this.statsCharts.forEach(chart => {
+        const entry = chart.series;
+        const canvas = chart.canvas.elt;
+        const context = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        context.clearRect(0, 0, width, height);
+
+        if (points.length === 0) {
+            chart.label.html(entry.label);
+            return;
+        }
+
+        const values = points.map(point => point.values[entry.key]);
+        const latest = values[values.length - 1];
+        chart.label.html(`${entry.label}: ${latest.toFixed(entry.digits)}`);
+
+        // Pad a flat series so it sits in the middle
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        if (max - min < 1e-9) {
+            min -= 1;
+            max += 1;
+        }
+        const toX = (time) => (time - start) / windowLength * width;
+        const toY = (value) => height - 3 - (value - min) / (max - min) * (height - 6);
+
+        // At most about one point per pixel
+        const stride = Math.max(1, Math.floor(points.length / width));
+        context.strokeStyle = entry.color;
+        context.lineWidth = 1.5;
+        context.beginPath();
+        for (let i = 0; i < points.length; i += stride) {
+            const x = toX(points[i].time);
+            const y = toY(values[i]);
+            if (i === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        }
+        context.lineTo(toX(points[points.length - 1].time), toY(latest));
+        context.stroke();
+
+        // Range of the window
+        context.fillStyle = '#888';
+        context.font = '9px Arial';
+        context.textAlign = 'left';
+        context.textBaseline = 'top';
+        context.fillText(max.toFixed(entry.digits), 2, 1);
+        context.textBaseline = 'bottom';
+        context.fillText(min.toFixed(entry.digits), 2, height - 1);
+    });
+};
@@ -45,3 +45,88 @@ UIController.prototype.createSlider = function(container, id, label, min, max, v
         onChange(val);
     });
 };
+
+/**
+ * Create a group of option buttons with label
+ * Buttons are used instead of dropdowns for more reliable selection.
+ * Option values are object keys, so boolean settings use 'true'/'false' keys
+ * @param {p5.Element} container - Parent container
+ * @param {string} id - Control ID
+ * @param {string} label - Group label
+ * @param {Object} options - Map of option values to button labels
+ * @param {string} value - Initially selected value
+ * @param {function} onChange - Change handler
+ */
+UIController.prototype.createButtonGroup = function(container, id, label, options, value, onChange) {
+    const groupContainer = createDiv();
+    groupContainer.class('slider-container');
+    groupContainer.parent(container);
+    
+    // Create label
+    const labelElement = createElement('label', label);
+    labelElement.parent(groupContainer);
+    
+    const buttonRow = createDiv();
+    buttonRow.parent(groupContainer);
+    
+    const buttons = {};
+    const setValue = (selected) => {
+        Object.entries(buttons).forEach(([optionValue, button]) => {
+            button.style('background-color', optionValue === String(selected) ? '#8BC34A' : '#4CAF50');
+        });
+    };
+    
+    Object.entries(options).forEach(([optionValue, optionLabel]) => {
+        const button = createButton(optionLabel);
+        button.parent(buttonRow);
+        button.style('margin', '2px');
+        button.mousePressed(() => {
+            setValue(optionValue);
+            onChange(optionValue);
+        });
+        buttons[optionValue] = button;
+    });
+    
+    setValue(value);
+    
+    // Store control reference
+    this.controls[id] = {
+        buttons: buttons,
+        setValue: setValue
+    };
+};
+
+/**
+ * Register a display that is redrawn whenever the settings are synced (presets, snapshots, scenarios)
+ * @param {string} id - Control ID
+ * @param {function} redraw - Redraws the display from the current settings
+ */
+UIController.prototype.addRedrawControl = function(id, redraw) {
+    this.controls[id] = {
+        setValue: () => redraw()
+    };
+};
+
+/**
+ * Check whether the simulated time went back since an analysis panel's last sample
+ * After a reset or a restored snapshot the panel's samples belong to another run
+ * @param {number|null} lastTime - Simulated time of the last sample, null if none
+ * @param {object} stats - Simulation statistics
+ * @returns {boolean} - True if the samples held should be dropped
+ */
+UIController.prototype.isAnalysisRestarted = function(lastTime, stats) {
+    return lastTime !== null && stats.simulatedTime < lastTime;
+};
+
+/**
+ * Check whether an analysis panel should take a new sample
+ * Due ANALYSIS_INTERVAL steps of simulated time after the last sample, and at once after a restart
+ * @param {number|null} lastTime - Simulated time of the last sample, null if none
+ * @param {object} stats - Simulation statistics
+ * @returns {boolean} - True if a sample is due
+ */
+UIController.prototype.isAnalysisDue = function(lastTime, stats) {
+    if (lastTime === null || this.isAnalysisRestarted(lastTime, stats)) return true;
+
+    return stats.simulatedTime - lastTime >= UIController.ANALYSIS_INTERVAL * this.config.current.timeStep;
+};
@@ -69,10 +69,159 @@ UIController.prototype.createSimulationControls = function(container) {
         this.startPauseBtn.html('Pause');
     });
     
+    // Save Snapshot button (complete particle state, not just settings)
+    const saveSnapshotBtn = createButton('Save Snapshot');
+    saveSnapshotBtn.parent(group);
+    saveSnapshotBtn.mousePressed(() => {
+        this.simulation.pause();
+        this.startPauseBtn.html('Start');
+        this.simulation.saveSnapshot();
+    });
+    
+    // Restore Snapshot button
+    const restoreSnapshotBtn = createButton('Restore Snapshot');
+    restoreSnapshotBtn.parent(group);
+    restoreSnapshotBtn.mousePressed(() => {
+        if (this.simulation.loadSnapshot()) {
+            // The snapshot carries the simulation area it was saved with
+            resizeCanvas(this.config.current.canvasWidth, this.config.current.canvasHeight);
+            this.syncControlsWithConfig();
+            this.startPauseBtn.html('Start');
+        }
+    });
+    
+    // Seed control for reproducible runs
+    this.createSeedControl(group);
+    
+    // Simulation speed and substeps
+    this.createTimingControls(group);
+    
+    // Scenario file download and import
+    this.createScenarioControls(group);
+    
     // Set initial visibility of Try Me buttons based on current particle type
     this.updateTryMeButtonsVisibility(this.config.current.particleType);
 };
 
+/**
+ * Create the simulation speed, substep and adaptive time step controls
+ * Simulated time advances at the same rate on any machine; substeps only refine the step
+ * @param {p5.Element} container - Parent container
+ */
+UIController.prototype.createTimingControls = function(container) {
+    // Simulation speed multiplier
+    this.createSlider(
+        container,
+        'simulationSpeed',
+        'Simulation Speed (x)',
+        0.1, 20,
+        this.config.current.simulationSpeed,
+        0.1,
+        (value) => {
+            this.config.updateSetting('simulationSpeed', value);
+        }
+    );
+    
+    // Fixed steps per frame
+    this.createSlider(
+        container,
+        'substeps',
+        'Substeps per Frame',
+        1, 20,
+        this.config.current.substeps,
+        1,
+        (value) => {
+            this.config.updateSetting('substeps', value);
+        }
+    );
+    
+    // Adaptive subdivision of each step
+    this.createButtonGroup(
+        container,
+        'adaptiveTimeStep',
+        'Adaptive Time Step',
+        { true: 'On', false: 'Off' },
+        this.config.current.adaptiveTimeStep,
+        (value) => {
+            this.config.updateSetting('adaptiveTimeStep', value === 'true');
+        }
+    );
+    
+    // Adaptive tolerances
+    this.createSlider(
+        container,
+        'adaptiveMaxDisplacement',
+        'Max Displacement per Substep',
+        0.1, 5,
+        this.config.current.adaptiveMaxDisplacement,
+        0.1,
+        (value) => {
+            this.config.updateSetting('adaptiveMaxDisplacement', value);
+        }
+    );
+    
+    this.createSlider(
+        container,
+        'adaptiveMaxSpeedChange',
+        'Max Speed Change per Substep',
+        0.01, 1,
+        this.config.current.adaptiveMaxSpeedChange,
+        0.01,
+        (value) => {
+            this.config.updateSetting('adaptiveMaxSpeedChange', value);
+        }
+    );
+};
+
+/**
+ * Create the seed input and "New Seed" button
+ * The same seed always reproduces the same initial particles
+ * @param {p5.Element} container - Parent container
+ */
+UIController.prototype.createSeedControl = function(container) {
+    const seedContainer = createDiv();
+    seedContainer.class('slider-container');
+    seedContainer.parent(container);
+    
+    // Create label
+    const labelElement = createElement('label', 'Seed');
+    labelElement.parent(seedContainer);
+    
+    // Seed input (applied on change)
+    const seedInput = createInput(String(this.config.current.seed));
+    seedInput.parent(seedContainer);
+    
+    const applySeed = (seed) => {
+        this.config.updateSetting('seed', seed >>> 0);
+        seedInput.value(String(this.config.current.seed));
+        this.simulation.reset();
+        this.startPauseBtn.html('Start');
+    };
+    
+    seedInput.changed(() => {
+        const seed = parseInt(seedInput.value(), 10);
+        if (Number.isNaN(seed)) {
+            // Restore the current seed if the input is not a number
+            seedInput.value(String(this.config.current.seed));
+            return;
+        }
+        applySeed(seed);
+    });
+    
+    // New Seed button
+    const newSeedBtn = createButton('New Seed');
+    newSeedBtn.parent(seedContainer);
+    newSeedBtn.mousePressed(() => {
+        applySeed(SeededRandom.generateSeed());
+    });
+    
+    // Store control reference
+    this.controls.seed = {
+        input: seedInput,
+        setValue: (value) => seedInput.value(String(value))
+    };
+};
+
 /**
  * Create particle control sliders
  * @param {UIController} ui - The UI controller instance
@@ -92,7 +241,7 @@ UIController.prototype.createParticleControls = function(container) {
         group,
         'particleCount',
         'Particle Count',
-        10, 500, 
+        10, 5000, 
         this.config.current.particleCount,
         1,
         (value) => {
@@ -127,6 +276,18 @@ UIController.prototype.createParticleControls = function(container) {
         }
     );
     
+    // Speed clamp on/off
+    this.createButtonGroup(
+        group,
+        'speedLimitEnabled',
+        'Speed Limit',
+        { true: 'On', false: 'Off' },
+        this.config.current.speedLimitEnabled,
+        (value) => {
+            this.config.updateSetting('speedLimitEnabled', value === 'true');
+        }
+    );
+    
     // Dampening coefficient slider
     this.createSlider(
         group,
@@ -139,6 +300,70 @@ UIController.prototype.createParticleControls = function(container) {
             this.config.updateSetting('dampeningCoefficient', value);
         }
     );
+    
+    // Time integration method
+    this.createButtonGroup(
+        group,
+        'integrator',
+        'Integrator',
+        Integrator.METHODS,
+        this.config.current.integrator,
+        (value) => {
+            this.config.updateSetting('integrator', value);
+        }
+    );
+};
+
+/**
+ * Create boundary controls (edge mode and soft wall parameters)
+ * @param {p5.Element} container - Parent container
+ */
+UIController.prototype.createBoundaryControls = function(container) {
+    const group = createDiv();
+    group.class('control-group');
+    group.parent(container);
+    
+    // Title
+    const title = createElement('h3', 'Boundaries');
+    title.parent(group);
+    
+    // Edge behaviour
+    this.createButtonGroup(
+        group,
+        'boundaryMode',
+        'Boundary Mode',
+        Boundary.MODES,
+        this.config.current.boundaryMode,
+        (value) => {
+            this.config.updateSetting('boundaryMode', value);
+        }
+    );
+    
+    // Soft wall strength
+    this.createSlider(
+        group,
+        'wallStiffness',
+        'Soft Wall Stiffness',
+        0.005, 0.5,
+        this.config.current.wallStiffness,
+        0.005,
+        (value) => {
+            this.config.updateSetting('wallStiffness', value);
+        }
+    );
+    
+    // Soft wall reach
+    this.createSlider(
+        group,
+        'wallRange',
+        'Soft Wall Range',
+        5, 150,
+        this.config.current.wallRange,
+        1,
+        (value) => {
+            this.config.updateSetting('wallRange', value);
+        }
+    );
 };
 
 /**
@@ -321,6 +546,9 @@ UIController.prototype.createForceControls = function(container) {
     const title = createElement('h3', 'Force Controls');
     title.parent(group);
     
+    // Force law selection and its generated parameter sliders
+    this.createForceLawControls(group);
+    
     // Threshold distance slider
     this.createSlider(
         group,
@@ -372,6 +600,190 @@ UIController.prototype.createForceControls = function(container) {
             this.config.updateSetting('stickyForceCoefficient', value);
         }
     );
+    
+    // Transition profile around the threshold bands
+    this.createButtonGroup(
+        group,
+        'transitionProfile',
+        'Transition Profile',
+        TransitionProfile.PROFILES,
+        this.config.current.transitionProfile,
+        (value) => {
+            this.config.updateSetting('transitionProfile', value);
+            this.drawTransitionPreview();
+        }
+    );
+    
+    // Transition width slider (fraction of the threshold distance)
+    this.createSlider(
+        group,
+        'transitionWidth',
+        'Transition Width',
+        0, 0.4, 
+        this.config.current.transitionWidth,
+        0.01,
+        (value) => {
+            this.config.updateSetting('transitionWidth', value);
+            this.drawTransitionPreview();
+        }
+    );
+    
+    // Preview of the profile curve
+    this.createTransitionPreview(group);
+    
+    // Long-range attraction mode (exact all-pairs, grid with cutoff, or Barnes-Hut)
+    this.createButtonGroup(
+        group,
+        'longRangeMode',
+        'Long-Range Attraction',
+        { exact: 'Exact', cutoff: 'Cutoff', barnesHut: 'Barnes-Hut' },
+        this.config.current.longRangeMode,
+        (value) => {
+            this.config.updateSetting('longRangeMode', value);
+        }
+    );
+    
+    // Attraction cutoff slider (used in cutoff mode)
+    this.createSlider(
+        group,
+        'attractionCutoff',
+        'Attraction Cutoff',
+        50, 1000, 
+        this.config.current.attractionCutoff,
+        10,
+        (value) => {
+            this.config.updateSetting('attractionCutoff', value);
+        }
+    );
+    
+    // Barnes-Hut opening angle slider (used in Barnes-Hut mode)
+    this.createSlider(
+        group,
+        'barnesHutTheta',
+        'Barnes-Hut Opening Angle (θ)',
+        0.1, 1.5, 
+        this.config.current.barnesHutTheta,
+        0.05,
+        (value) => {
+            this.config.updateSetting('barnesHutTheta', value);
+        }
+    );
+};
+
+/**
+ * Create affinity control elements
+ * @param {p5.Element} container - Parent container
+ */
+UIController.prototype.createAffinityControls = function(container) {
+    const group = createDiv();
+    group.class('control-group');
+    group.parent(container);
+    
+    // Title
+    const title = createElement('h3', 'Affinity');
+    title.parent(group);
+    
+    // Enable/disable affinity classes (assigned when particles are created)
+    this.createButtonGroup(
+        group,
+        'affinityEnabled',
+        'Affinity Classes',
+        { true: 'On', false: 'Off' },
+        this.config.current.affinityEnabled,
+        (value) => {
+            this.config.updateSetting('affinityEnabled', value === 'true');
+            this.simulation.reset();
+            this.startPauseBtn.html('Start');
+        }
+    );
+    
+    // Number of affinity classes
+    this.createSlider(
+        group,
+        'affinityTypes',
+        'Number of Classes',
+        1, 4,
+        this.config.current.affinityTypes,
+        1,
+        (value) => {
+            this.config.updateSetting('affinityTypes', value);
+            this.renderInteractionMatrix();
+            this.simulation.reset();
+            this.startPauseBtn.html('Start');
+        }
+    );
+    
+    // Relative proportion of each class
+    const classNames = ['A', 'B', 'C', 'D'];
+    classNames.forEach((name, index) => {
+        const id = `affinityProportion${index}`;
+        this.createSlider(
+            group,
+            id,
+            `Class ${name} Proportion`,
+            0, 1,
+            this.config.current.affinityProportions[index],
+            0.05,
+            (value) => {
+                const proportions = this.config.current.affinityProportions.slice();
+                proportions[index] = value;
+                this.config.updateSetting('affinityProportions', proportions);
+                this.simulation.reset();
+                this.startPauseBtn.html('Start');
+            }
+        );
+        this.controls[id].getValue = () => this.config.current.affinityProportions[index];
+    });
+    
+    // Attraction factor for same-affinity pairs
+    this.createSlider(
+        group,
+        'affinitySameFactor',
+        'Same Affinity Factor',
+        -2, 2,
+        this.config.current.affinitySameFactor,
+        0.1,
+        (value) => {
+            this.config.updateSetting('affinitySameFactor', value);
+        }
+    );
+    
+    // Attraction factor for opposing-affinity pairs (negative = repulsion)
+    this.createSlider(
+        group,
+        'affinityOppositeFactor',
+        'Opposing Affinity Factor',
+        -2, 2,
+        this.config.current.affinityOppositeFactor,
+        0.1,
+        (value) => {
+            this.config.updateSetting('affinityOppositeFactor', value);
+        }
+    );
+    
+    // Only bond compatible (same-affinity) particles into clusters
+    this.createButtonGroup(
+        group,
+        'affinityBondCompatibleOnly',
+        'Bond Same Affinity Only',
+        { true: 'Yes', false: 'No' },
+        this.config.current.affinityBondCompatibleOnly,
+        (value) => {
+            this.config.updateSetting('affinityBondCompatibleOnly', value === 'true');
+        }
+    );
+    
+    // Particle colouring
+    this.createButtonGroup(
+        group,
+        'colorBy',
+        'Colour By',
+        { history: 'Cluster History', affinity: 'Affinity', coordination: 'Coordination', bondOrder: 'Bond Order ψ6' },
+        this.config.current.colorBy,
+        (value) => {
+            this.config.updateSetting('colorBy', value);
+        }
+    );
 };
 
 /**
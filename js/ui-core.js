@@ -3,19 +3,38 @@
  * Main controller for UI elements and parameter controls
  */
 class UIController {
+    /**
+     * Longest selectable statistics chart window in seconds; older chart points are dropped
+     */
+    static get MAX_CHART_WINDOW() {
+        return 120;
+    }
+    
+    /**
+     * Steps of simulated time between samples of the analysis panels
+     */
+    static get ANALYSIS_INTERVAL() {
+        return 10;
+    }
+    
     /**
      * Create a new UI controller
      * @param {SimulationManager} simulation - The simulation manager
      * @param {object} config - Configuration object
+     * @param {Renderer} renderer - Canvas renderer, for highlighting clusters (optional)
      */
-    constructor(simulation, config) {
+    constructor(simulation, config, renderer = null) {
         this.simulation = simulation;
         this.config = config;
+        this.renderer = renderer;
         this.controls = {};
         this.startPauseBtn = null; // Reference to the start/pause button
         this.tryMeButtons = {}; // References to Try Me buttons
         this.morphologyButtons = {}; // References to morphology buttons
         this.statsElements = {}; // References to stats elements
+        this.scenarioStatus = null; // Status line for scenario file loading
+        this.clusterEventLog = null; // Scrollable list of cluster lifecycle events
+        this.recorderStatus = null; // Number of recorded stats samples
     }
     
     /**
@@ -27,10 +46,21 @@ class UIController {
         // Create control groups
         this.createSimulationControls(controlsContainer);
         this.createParticleControls(controlsContainer);
+        this.createBoundaryControls(controlsContainer);
         this.createRodParticleControls(controlsContainer);
         this.createForceControls(controlsContainer);
+        this.createAffinityControls(controlsContainer);
+        this.createInteractionMatrixControls(controlsContainer);
         this.createRepulsionDelayControls(controlsContainer);
         this.createMassControls(controlsContainer);
+        this.createRecorderControls(controlsContainer);
+        this.createClusterEventLog(controlsContainer);
+        this.createGenealogyPanel(controlsContainer);
+        this.createHistogramPanel(controlsContainer);
+        this.createOrientationPanel(controlsContainer);
+        this.createCorrelationPanel(controlsContainer);
+        this.createNetworkPanel(controlsContainer);
+        this.createDiffusionPanel(controlsContainer);
         this.createStatsDisplay(controlsContainer);
     }
 }
@@ -0,0 +1,266 @@
+/**
+ * UI Correlation module
+ * Contains the pair correlation panel: live g(r) or S(k) plot, species pair choice and export
+ */
+
+/**
+ * Create the pair correlation panel
+ * @param {p5.Element} container - Parent container
+ */
+UIController.prototype.createCorrelationPanel = function(container) {
+    const group = createDiv();
+    group.class('control-group');
+    group.parent(container);
+
+    // Title
+    const title = createElement('h3', 'Pair Correlation');
+    title.parent(group);
+
+    // Sampling costs a pass over every pair, so it is off by default
+    this.createButtonGroup(
+        group,
+        'correlationEnabled',
+        'Sample g(r)',
+        { true: 'On', false: 'Off' },
+        this.config.current.correlationEnabled,
+        (value) => {
+            this.config.updateSetting('correlationEnabled', value === 'true');
+        }
+    );
+
+    this.createButtonGroup(
+        group,
+        'correlationPair',
+        'Pair',
+        PairCorrelation.PAIRS,
+        this.config.current.correlationPair,
+        (value) => {
+            this.config.updateSetting('correlationPair', value);
+            this.drawCorrelation();
+        }
+    );
+
+    this.createButtonGroup(
+        group,
+        'correlationView',
+        'Plot',
+        { g: 'g(r)', s: 'S(k)' },
+        this.config.current.correlationView,
+        (value) => {
+            this.config.updateSetting('correlationView', value);
+            this.drawCorrelation();
+        }
+    );
+
+    // Plot on a plain canvas
+    this.correlationCanvas = createElement('canvas');
+    this.correlationCanvas.parent(group);
+    this.correlationCanvas.attribute('width', '300');
+    this.correlationCanvas.attribute('height', '140');
+    this.correlationCanvas.style('display', 'block');
+    this.correlationCanvas.style('border', '1px solid #ddd');
+
+    this.correlationStatus = createSpan('0 samples');
+    this.correlationStatus.parent(group);
+
+    // Binning and averaging; changing the bins starts the average over
+    this.createSlider(
+        group,
+        'correlationMaxDistance',
+        'Max Distance',
+        50, 500,
+        this.config.current.correlationMaxDistance,
+        10,
+        (value) => {
+            this.config.updateSetting('correlationMaxDistance', value);
+        }
+    );
+
+    this.createSlider(
+        group,
+        'correlationBinWidth',
+        'Bin Width',
+        1, 20,
+        this.config.current.correlationBinWidth,
+        1,
+        (value) => {
+            this.config.updateSetting('correlationBinWidth', value);
+        }
+    );
+
+    this.createSlider(
+        group,
+        'correlationSamples',
+        'Samples Averaged',
+        1, 200,
+        this.config.current.correlationSamples,
+        1,
+        (value) => {
+            this.config.updateSetting('correlationSamples', value);
+            this.pairCorrelation.setMaxSamples(value);
+            this.drawCorrelation();
+        }
+    );
+
+    // Export buttons
+    const exportDiv = createDiv();
+    exportDiv.class('slider-container');
+    exportDiv.parent(group);
+
+    const csvBtn = createButton('Export CSV');
+    csvBtn.parent(exportDiv);
+    csvBtn.mousePressed(() => {
+        this.exportCorrelationCSV();
+    });
+
+    const jsonBtn = createButton('Export JSON');
+    jsonBtn.parent(exportDiv);
+    jsonBtn.mousePressed(() => {
+        this.exportCorrelationJSON();
+    });
+
+    this.pairCorrelation = new PairCorrelation(this.config.current.correlationSamples);
+    this.correlationTime = null; // Simulated time of the latest sample
+
+    this.addRedrawControl('correlation', () => {
+        this.pairCorrelation.setMaxSamples(this.config.current.correlationSamples);
+        this.drawCorrelation();
+    });
+};
+
+/**
+ * Sample the pairs every 10 steps of simulated time while sampling is on
+ * @param {object} stats - Simulation statistics
+ */
+UIController.prototype.updateCorrelation = function(stats) {
+    if (!this.correlationCanvas) return;
+
+    if (this.isAnalysisRestarted(this.correlationTime, stats)) {
+        this.pairCorrelation.clear();
+        this.correlationTime = null;
+        this.drawCorrelation();
+    }
+
+    const settings = this.config.current;
+    if (!settings.correlationEnabled || !this.isAnalysisDue(this.correlationTime, stats)) return;
+
+    this.pairCorrelation.sample(
+        this.simulation.particles,
+        settings,
+        settings.correlationMaxDistance,
+        settings.correlationBinWidth
+    );
+    this.correlationTime = stats.simulatedTime;
+    this.drawCorrelation();
+};
+
+/**
+ * Draw g(r) or S(k) of the chosen pair, with a dashed line at 1
+ */
+UIController.prototype.drawCorrelation = function() {
+    if (!this.correlationCanvas) return;
+
+    const settings = this.config.current;
+    const showS = settings.correlationView === 's';
+    let xs;
+    let ys;
+    if (showS) {
+        const structure = this.pairCorrelation.getStructureFactor(settings.correlationPair);
+        xs = structure.k;
+        ys = structure.s;
+    } else {
+        const correlation = this.pairCorrelation.getPairCorrelation(settings.correlationPair);
+        xs = correlation.r;
+        ys = correlation.g;
+    }
+    this.correlationStatus.html(`${this.pairCorrelation.samples.length} samples`);
+
+    const canvas = this.correlationCanvas.elt;
+    const context = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const top = 14;
+    const bottom = height - 14; // Room for the x axis labels
+    context.clearRect(0, 0, width, height);
+
+    // Title
+    context.fillStyle = '#666';
+    context.font = '10px Arial';
+    context.textAlign = 'right';
+    context.textBaseline = 'top';
+    context.fillText(`${showS ? 'S(k)' : 'g(r)'} ${PairCorrelation.PAIRS[settings.correlationPair]}`, width - 2, 1);
+
+    if (xs.length === 0) return;
+
+    // S(k) can dip below zero from the cut-off integral
+    const minY = Math.min(0, ...ys);
+    const maxY = Math.max(1.5, ...ys);
+    const minX = xs[0];
+    const maxX = xs[xs.length - 1];
+    const toX = (value) => (maxX > minX ? (value - minX) / (maxX - minX) : 0) * width;
+    const toY = (value) => bottom - (value - minY) / (maxY - minY) * (bottom - top);
+
+    // Uncorrelated level
+    context.strokeStyle = '#aaa';
+    context.lineWidth = 1;
+    context.setLineDash([4, 3]);
+    context.beginPath();
+    context.moveTo(0, toY(1));
+    context.lineTo(width, toY(1));
+    context.stroke();
+    context.setLineDash([]);
+
+    context.strokeStyle = showS ? '#9C27B0' : '#3F51B5';
+    context.lineWidth = 1.5;
+    context.beginPath();
+    xs.forEach((x, i) => {
+        if (i === 0) {
+            context.moveTo(toX(x), toY(ys[i]));
+        } else {
+            context.lineTo(toX(x), toY(ys[i]));
+        }
+    });
+    context.stroke();
+
+    // Axis labels
+    context.fillStyle = '#666';
+    context.textAlign = 'left';
+    context.fillText(maxY.toFixed(1), 2, 1);
+    context.textBaseline = 'bottom';
+    context.fillText(showS ? `k ${minX.toFixed(3)}` : `r ${minX.toFixed(1)}`, 2, height - 1);
+    context.textAlign = 'right';
+    context.fillText(showS ? maxX.toFixed(3) : maxX.toFixed(1), width - 2, height - 1);
+};
+
+/**
+ * Download g(r) of every pair as CSV, one line per distance bin
+ */
+UIController.prototype.exportCorrelationCSV = function() {
+    const pairs = Object.keys(PairCorrelation.PAIRS);
+    const correlations = pairs.map(pair => this.pairCorrelation.getPairCorrelation(pair));
+    const lines = [['r'].concat(pairs.map(pair => `g_${pair.replace('|', '_')}`)).join(',')];
+    correlations[0].r.forEach((r, bin) => {
+        lines.push([r].concat(correlations.map(correlation => correlation.g[bin])).join(','));
+    });
+    saveStrings(lines, `pair-correlation-${this.config.current.seed}-${Date.now()}`, 'csv');
+};
+
+/**
+ * Download g(r) and S(k) of every pair as JSON, with the binning and the number of samples
+ */
+UIController.prototype.exportCorrelationJSON = function() {
+    const data = {
+        boundaryMode: Boundary.getMode(this.config.current),
+        maxDistance: this.pairCorrelation.maxDistance,
+        binWidth: this.pairCorrelation.binWidth,
+        samples: this.pairCorrelation.samples.length,
+        pairs: {}
+    };
+    Object.keys(PairCorrelation.PAIRS).forEach(pair => {
+        data.pairs[pair] = {
+            correlation: this.pairCorrelation.getPairCorrelation(pair),
+            structureFactor: this.pairCorrelation.getStructureFactor(pair)
+        };
+    });
+    saveJSON(data, `pair-correlation-${this.config.current.seed}-${Date.now()}.json`);
+};
@@ -0,0 +1,315 @@
+/**
+ * UI Diffusion module
+ * Contains the mean squared displacement panel: trajectory recording controls, log-log MSD plot
+ * by particle group, fitted diffusion coefficients and export
+ */
+
+/**
+ * Get the plot colour of each particle group (the rotation groups reuse all, free and clustered)
+ * @returns {object} - Colour per TrajectoryRecorder.GROUPS key
+ */
+UIController.prototype.getDiffusionColors = function() {
+    return {
+        all: '#333333',
+        free: '#2196F3',
+        clustered: '#F44336',
+        circle: '#4CAF50',
+        rod: '#FF9800'
+    };
+};
+
+/**
+ * Create the diffusion panel
+ * @param {p5.Element} container - Parent container
+ */
+UIController.prototype.createDiffusionPanel = function(container) {
+    const group = createDiv();
+    group.class('control-group');
+    group.parent(container);
+
+    // Title
+    const title = createElement('h3', 'Diffusion (MSD)');
+    title.parent(group);
+
+    // Frames must be evenly spaced, so turning recording on or changing the interval starts over
+    this.createButtonGroup(
+        group,
+        'trajectoryEnabled',
+        'Record Trajectories',
+        { true: 'On', false: 'Off' },
+        this.config.current.trajectoryEnabled,
+        (value) => {
+            this.config.updateSetting('trajectoryEnabled', value === 'true');
+            this.simulation.trajectoryRecorder.clear();
+            this.drawDiffusion();
+        }
+    );
+
+    this.createButtonGroup(
+        group,
+        'msdView',
+        'Plot',
+        { translation: 'Translation', rotation: 'Rotation (rods)' },
+        this.config.current.msdView,
+        (value) => {
+            this.config.updateSetting('msdView', value);
+            this.drawDiffusion();
+        }
+    );
+
+    // Log-log plot on a plain canvas
+    this.diffusionCanvas = createElement('canvas');
+    this.diffusionCanvas.parent(group);
+    this.diffusionCanvas.attribute('width', '300');
+    this.diffusionCanvas.attribute('height', '160');
+    this.diffusionCanvas.style('display', 'block');
+    this.diffusionCanvas.style('border', '1px solid #ddd');
+
+    this.diffusionStatus = createSpan('0 frames');
+    this.diffusionStatus.parent(group);
+
+    // Fitted coefficient and exponent of each group
+    this.diffusionFits = createDiv();
+    this.diffusionFits.parent(group);
+    this.diffusionFits.style('font-size', '12px');
+
+    this.createSlider(
+        group,
+        'trajectoryInterval',
+        'Frame Interval',
+        1, 100,
+        this.config.current.trajectoryInterval,
+        1,
+        (value) => {
+            this.config.updateSetting('trajectoryInterval', value);
+            this.simulation.trajectoryRecorder.clear();
+            this.drawDiffusion();
+        }
+    );
+
+    this.createSlider(
+        group,
+        'trajectoryLength',
+        'Frames Kept',
+        10, 1000,
+        this.config.current.trajectoryLength,
+        10,
+        (value) => {
+            this.config.updateSetting('trajectoryLength', value);
+            this.simulation.trajectoryRecorder.setCapacity(value);
+        }
+    );
+
+    // Export buttons
+    const exportDiv = createDiv();
+    exportDiv.class('slider-container');
+    exportDiv.parent(group);
+
+    const csvBtn = createButton('Export CSV');
+    csvBtn.parent(exportDiv);
+    csvBtn.mousePressed(() => {
+        this.exportDiffusionCSV();
+    });
+
+    const jsonBtn = createButton('Export JSON');
+    jsonBtn.parent(exportDiv);
+    jsonBtn.mousePressed(() => {
+        this.exportDiffusionJSON();
+    });
+
+    const trajectoriesBtn = createButton('Export Trajectories');
+    trajectoriesBtn.parent(exportDiv);
+    trajectoriesBtn.mousePressed(() => {
+        this.exportTrajectoriesCSV();
+    });
+
+    this.diffusionAnalysis = null; // Latest analysis, see analyzeDiffusion
+    this.diffusionFrame = null;    // Latest frame analysed
+
+    this.addRedrawControl('diffusion', () => this.drawDiffusion());
+};
+
+/**
+ * Compute the MSD of the recorded trajectories and fit each group
+ * @returns {object} - getMeanSquaredDisplacement's result, with { translation, rotation } fits per group
+ */
+UIController.prototype.analyzeDiffusion = function() {
+    const analysis = this.simulation.trajectoryRecorder.getMeanSquaredDisplacement();
+    analysis.fits = { translation: {}, rotation: {} };
+    Object.entries(analysis.translation).forEach(([group, series]) => {
+        analysis.fits.translation[group] = TrajectoryRecorder.fitDiffusion(analysis.times, series.msd, 2);
+    });
+    Object.entries(analysis.rotation).forEach(([group, series]) => {
+        analysis.fits.rotation[group] = TrajectoryRecorder.fitDiffusion(analysis.times, series.msd, 1);
+    });
+    return analysis;
+};
+
+/**
+ * Refit whenever a new frame was recorded
+ * The recorder keeps the displacement sums up to date, so this only reads them out
+ */
+UIController.prototype.updateDiffusion = function() {
+    if (!this.diffusionCanvas) return;
+
+    const frames = this.simulation.trajectoryRecorder.frames;
+    const latest = frames.length > 0 ? frames[frames.length - 1] : null;
+    if (latest === this.diffusionFrame) return;
+
+    this.diffusionFrame = latest;
+    this.diffusionAnalysis = frames.length > 1 ? this.analyzeDiffusion() : null;
+    this.drawDiffusion();
+};
+
+/**
+ * Draw the MSD of each group against lag time on log-log axes, with the fitted values below
+ */
+UIController.prototype.drawDiffusion = function() {
+    if (!this.diffusionCanvas) return;
+
+    const recorder = this.simulation.trajectoryRecorder;
+    this.diffusionStatus.html(
+        this.config.current.trajectoryEnabled ? `${recorder.frames.length} frames` : 'Recording off'
+    );
+
+    const canvas = this.diffusionCanvas.elt;
+    const context = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const top = 14;
+    const bottom = height - 14; // Room for the x axis labels
+    context.clearRect(0, 0, width, height);
+
+    const rotation = this.config.current.msdView === 'rotation';
+    context.fillStyle = '#666';
+    context.font = '10px Arial';
+    context.textAlign = 'right';
+    context.textBaseline = 'top';
+    context.fillText(rotation ? 'MSD angle (rad²)' : 'MSD (px²)', width - 2, 1);
+
+    const analysis = this.diffusionAnalysis;
+    this.diffusionFits.html('');
+    if (!analysis || analysis.times.length === 0) return;
+
+    const seriesByGroup = rotation ? analysis.rotation : analysis.translation;
+    const fits = rotation ? analysis.fits.rotation : analysis.fits.translation;
+    const colors = this.getDiffusionColors();
+    const names = rotation ? TrajectoryRecorder.ROTATION_GROUPS : TrajectoryRecorder.GROUPS;
+
+    // Log axes over the positive values
+    const values = [];
+    Object.values(seriesByGroup).forEach(series => {
+        series.msd.forEach(value => {
+            if (value !== null && value > 0) values.push(value);
+        });
+    });
+    if (values.length === 0) return;
+
+    let minY = values[0];
+    let maxY = values[0];
+    for (const value of values) {
+        minY = Math.min(minY, value);
+        maxY = Math.max(maxY, value);
+    }
+    const logMinY = Math.log10(minY);
+    const logMaxY = Math.max(Math.log10(maxY), logMinY + 1);
+    const logMinX = Math.log10(analysis.times[0]);
+    const logMaxX = Math.log10(analysis.times[analysis.times.length - 1]);
+    const toX = (time) => (logMaxX > logMinX ? (Math.log10(time) - logMinX) / (logMaxX - logMinX) : 0) * width;
+    const toY = (value) => bottom - (Math.log10(value) - logMinY) / (logMaxY - logMinY) * (bottom - top);
+
+    Object.entries(seriesByGroup).forEach(([group, series]) => {
+        context.strokeStyle = colors[group];
+        context.lineWidth = group === 'all' ? 2 : 1.5;
+        context.beginPath();
+        let drawing = false;
+        series.msd.forEach((value, i) => {
+            if (value === null || value <= 0) {
+                drawing = false;
+                return;
+            }
+            if (drawing) {
+                context.lineTo(toX(analysis.times[i]), toY(value));
+            } else {
+                context.moveTo(toX(analysis.times[i]), toY(value));
+                drawing = true;
+            }
+        });
+        context.stroke();
+    });
+
+    // Axis labels
+    context.fillStyle = '#666';
+    context.textAlign = 'left';
+    context.fillText(Math.pow(10, logMaxY).toPrecision(2), 2, 1);
+    context.textBaseline = 'bottom';
+    context.fillText(`t ${analysis.times[0].toPrecision(2)}`, 2, height - 1);
+    context.textAlign = 'right';
+    context.fillText(analysis.times[analysis.times.length - 1].toPrecision(3), width - 2, height - 1);
+
+    // Legend rows with the fits
+    Object.keys(seriesByGroup).forEach(group => {
+        const fit = fits[group];
+        const text = fit ?
+            `${rotation ? 'Dr' : 'D'} ${fit.coefficient.toPrecision(3)}, α ${fit.exponent !== null ? fit.exponent.toFixed(2) : '-'}` :
+            '-';
+        const row = createDiv(`<span style="color:${colors[group]}">■</span> ${names[group]}: ${text}`);
+        row.parent(this.diffusionFits);
+    });
+};
+
+/**
+ * Download the MSD of every group as CSV, one line per lag
+ */
+UIController.prototype.exportDiffusionCSV = function() {
+    const analysis = this.analyzeDiffusion();
+    const translationGroups = Object.keys(analysis.translation);
+    const rotationGroups = Object.keys(analysis.rotation);
+    const lines = [['lagTime']
+        .concat(translationGroups.map(group => `msd_${group}`))
+        .concat(rotationGroups.map(group => `msad_rod_${group}`))
+        .join(',')];
+    analysis.times.forEach((time, index) => {
+        const cell = (value) => (value !== null ? value : '');
+        lines.push([time]
+            .concat(translationGroups.map(group => cell(analysis.translation[group].msd[index])))
+            .concat(rotationGroups.map(group => cell(analysis.rotation[group].msd[index])))
+            .join(','));
+    });
+    saveStrings(lines, `msd-${this.config.current.seed}-${Date.now()}`, 'csv');
+};
+
+/**
+ * Download the MSD of every group and the fitted coefficients as JSON, with the settings
+ * they depend on
+ */
+UIController.prototype.exportDiffusionJSON = function() {
+    const settings = this.config.current;
+    const analysis = this.analyzeDiffusion();
+    saveJSON({
+        boundaryMode: Boundary.getMode(settings),
+        dampeningCoefficient: settings.dampeningCoefficient,
+        massGainRate: settings.massGainRate,
+        frameInterval: settings.trajectoryInterval,
+        frames: this.simulation.trajectoryRecorder.frames.length,
+        lagTimes: analysis.times,
+        translation: analysis.translation,
+        rotation: analysis.rotation,
+        fits: analysis.fits
+    }, `msd-${settings.seed}-${Date.now()}.json`);
+};
+
+/**
+ * Download the recorded unwrapped trajectories as CSV, one line per particle per frame
+ */
+UIController.prototype.exportTrajectoriesCSV = function() {
+    const frames = this.simulation.trajectoryRecorder.frames;
+    const lines = ['frame,time,particleId,x,y,angle,clustered'];
+    frames.forEach((frame, index) => {
+        for (let id = 0; id < frame.x.length; id++) {
+            const angle = Number.isNaN(frame.angle[id]) ? '' : frame.angle[id];
+            lines.push(`${index},${frame.time},${id},${frame.x[id]},${frame.y[id]},${angle},${frame.clustered[id]}`);
+        }
+    });
+    saveStrings(lines, `trajectories-${this.config.current.seed}-${Date.now()}`, 'csv');
+};
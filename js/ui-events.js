@@ -0,0 +1,98 @@
+/**
+ * UI Events module
+ * Contains the cluster event log and its JSON export
+ */
+
+/**
+ * Create the cluster event log (scrollable list and export button)
+ * @param {p5.Element} container - Parent container
+ */
+UIController.prototype.createClusterEventLog = function(container) {
+    const group = createDiv();
+    group.class('control-group');
+    group.parent(container);
+
+    // Title
+    const title = createElement('h3', 'Cluster Events');
+    title.parent(group);
+
+    // Scrollable list, newest first
+    this.clusterEventLog = createDiv('');
+    this.clusterEventLog.parent(group);
+    this.clusterEventLog.style('height', '200px');
+    this.clusterEventLog.style('overflow-y', 'auto');
+    this.clusterEventLog.style('border', '1px solid #ddd');
+    this.clusterEventLog.style('font-family', 'monospace');
+    this.clusterEventLog.style('font-size', '12px');
+    this.clusterEventLog.style('margin-bottom', '10px');
+
+    // The log is rebuilt only when new events arrive
+    this.renderedEventTracker = null;
+    this.renderedEventCount = 0;
+
+    // Export the events kept by the tracker
+    const exportBtn = createButton('Export Events');
+    exportBtn.parent(group);
+    exportBtn.mousePressed(() => {
+        this.exportClusterEvents();
+    });
+};
+
+/**
+ * Refresh the event log with the latest events
+ */
+UIController.prototype.updateClusterEventLog = function() {
+    if (!this.clusterEventLog) return;
+
+    // The force system is replaced on reset and when snapshots are restored
+    const tracker = this.simulation.getForceSystem().clusterTracker;
+    if (tracker === this.renderedEventTracker && tracker.eventCount === this.renderedEventCount) return;
+    this.renderedEventTracker = tracker;
+    this.renderedEventCount = tracker.eventCount;
+
+    // Show the latest 100 events
+    const lines = tracker.getEvents().slice(-100).reverse().map(event => this.formatClusterEvent(event));
+    this.clusterEventLog.html(lines.join('<br>'));
+};
+
+/**
+ * Format a cluster event as one line of the log
+ * @param {object} event - Lifecycle event
+ * @returns {string} - Text such as "1234 Merged #8 (10) from #8, #23 at (781, 352)"
+ */
+UIController.prototype.formatClusterEvent = function(event) {
+    const label = ClusterTracker.EVENT_TYPES[event.type] || event.type;
+    const listIds = (ids) => ids.map(id => `#${id}`).join(', ');
+
+    let details = '';
+    if (event.type === 'merged') {
+        details = ` from ${listIds(event.sources)}`;
+    } else if (event.type === 'split') {
+        details = ` into ${listIds(event.into)}`;
+    } else if (event.type === 'grew') {
+        details = ` from ${event.previousSize}`;
+    }
+
+    const position = event.position ?
+        ` at (${Math.round(event.position.x)}, ${Math.round(event.position.y)})` : '';
+    return `${event.frame} ${label} #${event.clusterId} (${event.size})${details}${position}`;
+};
+
+/**
+ * Download the cluster event stream as a JSON file
+ * The tracker only keeps the latest ClusterTracker.MAX_EVENTS events, so the file
+ * says how many older ones were dropped
+ */
+UIController.prototype.exportClusterEvents = function() {
+    const tracker = this.simulation.getForceSystem().clusterTracker;
+    const events = tracker.getEvents();
+    const droppedCount = tracker.eventCount - events.length;
+    saveJSON({
+        seed: this.config.current.seed,
+        frame: tracker.frame,
+        eventCount: tracker.eventCount,
+        truncated: droppedCount > 0,
+        droppedCount: droppedCount,
+        events: events
+    }, `cluster-events-${this.config.current.seed}-${Date.now()}.json`);
+};
@@ -0,0 +1,73 @@
+/**
+ * UI Force Law module
+ * Contains the force law selector and the parameter sliders generated from each law's schema
+ */
+
+/**
+ * Create force law controls (law buttons and parameter sliders)
+ * @param {p5.Element} container - Parent container
+ */
+UIController.prototype.createForceLawControls = function(container) {
+    // One button per registered law
+    const options = {};
+    forceLaws.list().forEach(law => {
+        options[law.name] = law.label;
+    });
+
+    this.createButtonGroup(
+        container,
+        'forceLaw',
+        'Force Law',
+        options,
+        this.config.current.forceLaw,
+        (value) => {
+            this.config.updateSetting('forceLaw', value);
+            this.renderForceLawParameters();
+        }
+    );
+
+    // Sliders for the selected law's parameters
+    this.forceLawParameters = createDiv();
+    this.forceLawParameters.parent(container);
+    this.forceLawParameterIds = [];
+
+    // Rebuilt whenever the settings are synced (presets, snapshots, scenarios)
+    this.addRedrawControl('forceLawParameters', () => this.renderForceLawParameters());
+
+    this.renderForceLawParameters();
+};
+
+/**
+ * Rebuild the parameter sliders for the selected force law
+ */
+UIController.prototype.renderForceLawParameters = function() {
+    if (!this.forceLawParameters) return;
+
+    // Drop the previous law's sliders
+    this.forceLawParameterIds.forEach(id => {
+        delete this.controls[id];
+    });
+    this.forceLawParameterIds = [];
+    this.forceLawParameters.html('');
+
+    const law = forceLaws.get(this.config.current.forceLaw);
+    if (!law) return;
+
+    law.parameters.forEach(parameter => {
+        // Laws registered outside config.js give their defaults in the schema
+        this.config.addSetting(parameter.key, parameter.default);
+
+        this.createSlider(
+            this.forceLawParameters,
+            parameter.key,
+            parameter.label,
+            parameter.min, parameter.max,
+            this.config.current[parameter.key],
+            parameter.step,
+            (value) => {
+                this.config.updateSetting(parameter.key, value);
+            }
+        );
+        this.forceLawParameterIds.push(parameter.key);
+    });
+};
@@ -0,0 +1,307 @@
+/**
+ * UI Genealogy module
+ * Contains the cluster genealogy panel: the lineage of clusters over time, with
+ * merges and splits as branches; clicking a cluster highlights it on the canvas
+ */
+
+/**
+ * Create the cluster genealogy panel
+ * @param {p5.Element} container - Parent container
+ */
+UIController.prototype.createGenealogyPanel = function(container) {
+    const group = createDiv();
+    group.class('control-group');
+    group.parent(container);
+
+    // Title
+    const title = createElement('h3', 'Cluster Genealogy');
+    title.parent(group);
+
+    // Plain canvas element, so the diagram doesn't touch the main p5 sketch
+    this.genealogyCanvas = createElement('canvas');
+    this.genealogyCanvas.parent(group);
+    this.genealogyCanvas.attribute('width', '360');
+    this.genealogyCanvas.attribute('height', '200');
+    this.genealogyCanvas.style('border', '1px solid #ddd');
+    this.genealogyCanvas.style('cursor', 'pointer');
+    this.genealogyCanvas.elt.addEventListener('click', (event) => {
+        this.selectGenealogyNode(event.offsetX, event.offsetY);
+    });
+
+    // Details of the selected cluster
+    this.genealogyStatus = createSpan('Click a cluster to highlight it');
+    this.genealogyStatus.parent(group);
+    this.genealogyStatus.style('font-size', '12px');
+    this.genealogyStatus.style('margin-bottom', '10px');
+
+    // Time span shown
+    this.createSlider(
+        group,
+        'genealogyWindow',
+        'Time Window (frames)',
+        100, 5000,
+        this.config.current.genealogyWindow,
+        100,
+        (value) => {
+            this.config.updateSetting('genealogyWindow', value);
+            this.drawGenealogy();
+        }
+    );
+
+    // Hide short-lived small clusters
+    this.createSlider(
+        group,
+        'genealogyMinSize',
+        'Min Peak Size',
+        2, 20,
+        this.config.current.genealogyMinSize,
+        1,
+        (value) => {
+            this.config.updateSetting('genealogyMinSize', value);
+            this.drawGenealogy();
+        }
+    );
+
+    this.highlightedClusterId = null;
+    this.genealogyLayout = null;
+    this.drawnGenealogyTracker = null;
+    this.drawnGenealogyFrame = 0;
+
+    this.addRedrawControl('genealogy', () => this.drawGenealogy());
+};
+
+/**
+ * Redraw the genealogy every 15 frames, and start over when the force system was replaced
+ */
+UIController.prototype.updateGenealogy = function() {
+    if (!this.genealogyCanvas) return;
+
+    const tracker = this.simulation.getForceSystem().clusterTracker;
+    if (tracker !== this.drawnGenealogyTracker) {
+        // Cluster IDs restart with a new tracker
+        this.selectCluster(null);
+    } else if (Math.abs(tracker.frame - this.drawnGenealogyFrame) < 15) {
+        return;
+    }
+    this.drawGenealogy();
+};
+
+/**
+ * Arrange the clusters in the time window into rows
+ * Each cluster is a row, placed below the cluster it split from; merges and splits
+ * become links between rows at the frame they happened
+ * @param {ClusterTracker} tracker - The cluster tracker
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {object} - { start, end, toX, thickness, rows, links, repulsions }
+ */
+UIController.prototype.layoutGenealogy = function(tracker, width, height) {
+    const settings = this.config.current;
+    const end = Math.max(tracker.frame, 1);
+    const start = Math.max(0, end - settings.genealogyWindow);
+    const top = 4;
+    const bottom = height - 14; // Room for the time axis labels
+
+    // Clusters that existed in the window and grew large enough
+    const records = tracker.getRecords().filter(record =>
+        record.peakSize >= settings.genealogyMinSize &&
+        (record.endFrame === null ? end : record.endFrame) >= start
+    );
+    const visible = new Map(records.map(record => [record.id, record]));
+
+    // Fragments born in a split hang below the cluster they split from
+    const parents = new Map();
+    const events = tracker.getEvents().filter(event => event.frame >= start);
+    for (const event of events) {
+        if (event.type !== 'split') continue;
+        for (const clusterId of event.into) {
+            const record = visible.get(clusterId);
+            if (clusterId !== event.clusterId && record && record.birthFrame === event.frame) {
+                parents.set(clusterId, event.clusterId);
+            }
+        }
+    }
+
+    // Depth-first order, oldest first (IDs are given out in order of birth)
+    const children = new Map();
+    const roots = [];
+    for (const record of records) {
+        const parentId = parents.get(record.id);
+        if (parentId !== undefined && visible.has(parentId)) {
+            if (!children.has(parentId)) {
+                children.set(parentId, []);
+            }
+            children.get(parentId).push(record);
+        } else {
+            roots.push(record);
+        }
+    }
+    const ordered = [];
+    const visit = (record) => {
+        ordered.push(record);
+        (children.get(record.id) || []).forEach(visit);
+    };
+    roots.forEach(visit);
+
+    // Rows share the height; bar thickness is proportional to cluster size
+    const rowHeight = (bottom - top) / Math.max(ordered.length, 1);
+    const largest = Math.max(1, ...ordered.map(record => record.peakSize));
+    const rows = new Map();
+    ordered.forEach((record, i) => {
+        const rowTop = top + i * rowHeight;
+        rows.set(record.id, { record, top: rowTop, bottom: rowTop + rowHeight, center: rowTop + rowHeight / 2 });
+    });
+
+    // Merge links run from each source into the result, split links from the source into each part
+    const links = [];
+    for (const event of events) {
+        if (event.type === 'merged') {
+            event.sources.forEach((clusterId, i) => {
+                if (clusterId !== event.clusterId) {
+                    links.push({ type: 'merged', frame: event.frame, from: clusterId, to: event.clusterId, size: event.sourceSizes[i] });
+                }
+            });
+        } else if (event.type === 'split') {
+            event.into.forEach((clusterId, i) => {
+                if (clusterId !== event.clusterId) {
+                    links.push({ type: 'split', frame: event.frame, from: event.clusterId, to: clusterId, size: event.intoSizes[i] });
+                }
+            });
+        }
+    }
+
+    return {
+        start,
+        end,
+        toX: (frame) => (frame - start) / (end - start) * width,
+        thickness: (size) => Math.max(1, size / largest * rowHeight * 0.9),
+        rows,
+        links: links.filter(link => rows.has(link.from) && rows.has(link.to)),
+        repulsions: events.filter(event => event.type === 'repulsionTriggered' && rows.has(event.clusterId))
+    };
+};
+
+/**
+ * Draw the genealogy diagram
+ * Green bars: clusters over time (thickness = size), blue links: merges, orange links: splits,
+ * red dots: repulsion triggered, pink: the highlighted cluster
+ */
+UIController.prototype.drawGenealogy = function() {
+    if (!this.genealogyCanvas) return;
+
+    const tracker = this.simulation.getForceSystem().clusterTracker;
+    const canvas = this.genealogyCanvas.elt;
+    const context = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const layout = this.layoutGenealogy(tracker, width, height);
+
+    this.genealogyLayout = layout;
+    this.drawnGenealogyTracker = tracker;
+    this.drawnGenealogyFrame = tracker.frame;
+    this.updateGenealogyStatus();
+
+    context.clearRect(0, 0, width, height);
+
+    // Cluster bars, one segment per size change
+    for (const row of layout.rows.values()) {
+        const record = row.record;
+        const recordEnd = record.endFrame === null ? layout.end : record.endFrame;
+        const history = record.history.length > 0 ? record.history : [{ frame: record.birthFrame, size: record.size }];
+        context.fillStyle = record.id === this.highlightedClusterId ? '#E91E63' : '#4CAF50';
+
+        // The first entry is the birth unless the history was trimmed, in which case the
+        // sizes before the oldest kept entry are unknown and that stretch is left out
+        history.forEach((entry, i) => {
+            const from = Math.max(layout.start, entry.frame);
+            const to = i + 1 < history.length ? history[i + 1].frame : recordEnd;
+            if (to < layout.start) return;
+
+            const size = entry.size !== undefined ? entry.size : record.size;
+            const thickness = layout.thickness(size);
+            const x = layout.toX(from);
+            context.fillRect(x, row.center - thickness / 2, Math.max(layout.toX(to) - x, 1), thickness);
+        });
+    }
+
+    // Merge and split links
+    for (const link of layout.links) {
+        const x = layout.toX(link.frame);
+        const fromY = layout.rows.get(link.from).center;
+        const toY = layout.rows.get(link.to).center;
+        context.strokeStyle = link.type === 'merged' ? 'rgba(33, 150, 243, 0.6)' : 'rgba(255, 152, 0, 0.6)';
+        context.lineWidth = layout.thickness(link.size);
+        context.beginPath();
+        context.moveTo(x - 8, fromY);
+        context.bezierCurveTo(x - 4, fromY, x - 4, toY, x, toY);
+        context.stroke();
+    }
+
+    // Repulsion bursts
+    context.fillStyle = '#F44336';
+    for (const event of layout.repulsions) {
+        context.beginPath();
+        context.arc(layout.toX(event.frame), layout.rows.get(event.clusterId).center, 2, 0, Math.PI * 2);
+        context.fill();
+    }
+
+    // Time axis
+    context.fillStyle = '#666';
+    context.font = '10px Arial';
+    context.textAlign = 'left';
+    context.fillText(`${layout.start}`, 2, height - 3);
+    context.textAlign = 'center';
+    context.fillText('frame', width / 2, height - 3);
+    context.textAlign = 'right';
+    context.fillText(`${layout.end}`, width - 2, height - 3);
+};
+
+/**
+ * Highlight the cluster in the row at a point on the genealogy canvas
+ * @param {number} x - X coordinate on the canvas
+ * @param {number} y - Y coordinate on the canvas
+ */
+UIController.prototype.selectGenealogyNode = function(x, y) {
+    if (!this.genealogyLayout) return;
+
+    let clusterId = null;
+    for (const row of this.genealogyLayout.rows.values()) {
+        if (y >= row.top && y < row.bottom) {
+            clusterId = row.record.id;
+            break;
+        }
+    }
+
+    // Clicking the highlighted cluster or an empty area clears the highlight
+    this.selectCluster(clusterId === this.highlightedClusterId ? null : clusterId);
+    this.drawGenealogy();
+};
+
+/**
+ * Set the highlighted cluster, in the panel and on the simulation canvas
+ * @param {number|null} clusterId - Persistent cluster ID, or null for none
+ */
+UIController.prototype.selectCluster = function(clusterId) {
+    this.highlightedClusterId = clusterId;
+    if (this.renderer) {
+        this.renderer.setHighlightedCluster(clusterId);
+    }
+    this.updateGenealogyStatus();
+};
+
+/**
+ * Show the birth, age and size of the highlighted cluster
+ */
+UIController.prototype.updateGenealogyStatus = function() {
+    const clusterId = this.highlightedClusterId;
+    const record = clusterId !== null ? this.simulation.getForceSystem().getClusterRecord(clusterId) : null;
+    if (!record) {
+        this.genealogyStatus.html('Click a cluster to highlight it');
+        return;
+    }
+
+    const ended = record.endFrame !== null ? `, ended ${record.endFrame}` : '';
+    this.genealogyStatus.html(
+        `#${record.id}: born ${record.birthFrame}${ended}, age ${record.age}, size ${record.size} (peak ${record.peakSize})`
+    );
+};
@@ -0,0 +1,305 @@
+/**
+ * UI Histogram module
+ * Contains the cluster size and particle mass histograms, with a time-averaged overlay and export
+ */
+
+/**
+ * Create the distribution histograms and their controls
+ * @param {p5.Element} container - Parent container
+ */
+UIController.prototype.createHistogramPanel = function(container) {
+    const group = createDiv();
+    group.class('control-group');
+    group.parent(container);
+
+    // Title
+    const title = createElement('h3', 'Distributions');
+    title.parent(group);
+
+    // One plain canvas per distribution, so the plots don't touch the main p5 sketch
+    this.histograms = {
+        clusterSizes: { label: 'Cluster Size', color: '#2196F3', integer: true },
+        masses: { label: 'Particle Mass', color: '#FF9800', integer: false }
+    };
+    Object.values(this.histograms).forEach(histogram => {
+        histogram.canvas = createElement('canvas');
+        histogram.canvas.parent(group);
+        histogram.canvas.attribute('width', '300');
+        histogram.canvas.attribute('height', '120');
+        histogram.canvas.style('border', '1px solid #ddd');
+        histogram.canvas.style('margin-bottom', '6px');
+    });
+
+    // Axis scales
+    this.createButtonGroup(
+        group,
+        'histogramXScale',
+        'Value Axis',
+        { linear: 'Linear', log: 'Log' },
+        this.config.current.histogramXScale,
+        (value) => {
+            this.config.updateSetting('histogramXScale', value);
+            this.drawHistograms();
+        }
+    );
+
+    this.createButtonGroup(
+        group,
+        'histogramYScale',
+        'Count Axis',
+        { linear: 'Linear', log: 'Log' },
+        this.config.current.histogramYScale,
+        (value) => {
+            this.config.updateSetting('histogramYScale', value);
+            this.drawHistograms();
+        }
+    );
+
+    // Bin count
+    this.createSlider(
+        group,
+        'histogramBins',
+        'Bins (0 = auto)',
+        0, 50,
+        this.config.current.histogramBins,
+        1,
+        (value) => {
+            this.config.updateSetting('histogramBins', value);
+            this.drawHistograms();
+        }
+    );
+
+    // Time-averaged overlay
+    this.createButtonGroup(
+        group,
+        'histogramAverage',
+        'Time-Averaged Overlay',
+        { true: 'On', false: 'Off' },
+        this.config.current.histogramAverage,
+        (value) => {
+            this.config.updateSetting('histogramAverage', value === 'true');
+            this.drawHistograms();
+        }
+    );
+
+    this.createSlider(
+        group,
+        'histogramAverageSamples',
+        'Samples Averaged',
+        5, 300,
+        this.config.current.histogramAverageSamples,
+        5,
+        (value) => {
+            this.config.updateSetting('histogramAverageSamples', value);
+            this.drawHistograms();
+        }
+    );
+
+    // Export buttons
+    const exportDiv = createDiv();
+    exportDiv.class('slider-container');
+    exportDiv.parent(group);
+
+    const csvBtn = createButton('Export CSV');
+    csvBtn.parent(exportDiv);
+    csvBtn.mousePressed(() => {
+        this.exportHistogramsCSV();
+    });
+
+    const jsonBtn = createButton('Export JSON');
+    jsonBtn.parent(exportDiv);
+    jsonBtn.mousePressed(() => {
+        this.exportHistogramsJSON();
+    });
+
+    this.histogramSamples = []; // Samples as { time, clusterSizes, masses }
+
+    this.addRedrawControl('histograms', () => this.drawHistograms());
+};
+
+/**
+ * Sample the distributions every 10 steps of simulated time and redraw the histograms
+ * @param {object} stats - Simulation statistics
+ */
+UIController.prototype.updateHistograms = function(stats) {
+    if (!this.histograms) return;
+
+    const last = this.histogramSamples[this.histogramSamples.length - 1];
+    const lastTime = last ? last.time : null;
+    if (!this.isAnalysisDue(lastTime, stats)) return;
+    if (this.isAnalysisRestarted(lastTime, stats)) {
+        this.histogramSamples = [];
+    }
+
+    this.histogramSamples.push({
+        time: stats.simulatedTime,
+        clusterSizes: Array.from(this.simulation.getForceSystem().clusterSizes.values()),
+        masses: this.simulation.particles.map(particle => particle.mass)
+    });
+
+    // The buffer is trimmed only here, so a smaller average doesn't throw samples away until new ones arrive
+    const kept = Math.max(1, Math.round(this.config.current.histogramAverageSamples));
+    if (this.histogramSamples.length > kept) {
+        this.histogramSamples.splice(0, this.histogramSamples.length - kept);
+    }
+
+    this.drawHistograms();
+};
+
+/**
+ * Bin the latest sample and, with the overlay on, the average over the kept samples
+ * With the overlay on the bins cover every kept sample, so both use the same edges
+ * @returns {object} - { clusterSizes, masses }, each { edges, counts, averageCounts }
+ */
+UIController.prototype.getHistogramData = function() {
+    const settings = this.config.current;
+    const samples = this.histogramSamples.slice(-Math.max(1, Math.round(settings.histogramAverageSamples)));
+    const latest = samples[samples.length - 1];
+    const data = {};
+
+    Object.entries(this.histograms).forEach(([key, histogram]) => {
+        const current = latest ? latest[key] : [];
+        const averaged = settings.histogramAverage ? [].concat(...samples.map(sample => sample[key])) : null;
+        const edges = Histogram.getEdges(averaged || current, {
+            scale: settings.histogramXScale,
+            bins: settings.histogramBins,
+            integer: histogram.integer
+        });
+
+        data[key] = {
+            edges,
+            counts: Histogram.count(current, edges),
+            averageCounts: averaged ?
+                Histogram.count(averaged, edges).map(count => count / samples.length) :
+                null
+        };
+    });
+
+    return data;
+};
+
+/**
+ * Draw both histograms
+ */
+UIController.prototype.drawHistograms = function() {
+    if (!this.histograms) return;
+
+    const data = this.getHistogramData();
+    Object.entries(this.histograms).forEach(([key, histogram]) => {
+        this.drawHistogram(histogram, data[key]);
+    });
+
+    // The cluster shape histogram shares the axis and bin settings
+    this.drawClusterMetrics();
+};
+
+/**
+ * Draw one histogram: bars for the latest sample, a dark step line for the time average
+ * @param {object} histogram - Histogram view { label, color, canvas, xScale (optional, overrides the setting) }
+ * @param {object} data - { edges, counts, averageCounts }
+ */
+UIController.prototype.drawHistogram = function(histogram, data) {
+    const settings = this.config.current;
+    const canvas = histogram.canvas.elt;
+    const context = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const top = 14;
+    const bottom = height - 14; // Room for the value axis labels
+    context.clearRect(0, 0, width, height);
+
+    // Title
+    context.fillStyle = '#666';
+    context.font = '10px Arial';
+    context.textAlign = 'right';
+    context.textBaseline = 'top';
+    context.fillText(histogram.label, width - 2, 1);
+
+    const edges = data.edges;
+    if (edges.length < 2) return;
+
+    // Value axis
+    const logX = (histogram.xScale || settings.histogramXScale) === 'log';
+    const toAxisX = logX ? Math.log10 : (value) => value;
+    const minX = toAxisX(edges[0]);
+    const maxX = toAxisX(edges[edges.length - 1]);
+    const toX = (value) => (toAxisX(value) - minX) / (maxX - minX) * width;
+
+    // Count axis; a log axis starts a little below the smallest non-zero count
+    const shown = data.counts.concat(data.averageCounts || []);
+    const maxCount = Math.max(...shown, 1);
+    const logY = settings.histogramYScale === 'log';
+    const minCount = Math.min(...shown.filter(count => count > 0), maxCount);
+    const floorY = logY ? Math.log10(minCount) - 0.3 : 0;
+    const toY = (count) => {
+        if (count <= 0) return bottom;
+        const value = logY ? Math.log10(count) : count;
+        const ceiling = logY ? Math.log10(maxCount) : maxCount;
+        return bottom - Math.max(0, (value - floorY) / (ceiling - floorY)) * (bottom - top);
+    };
+
+    // Latest sample
+    context.fillStyle = histogram.color;
+    data.counts.forEach((count, i) => {
+        if (count <= 0) return;
+        const left = toX(edges[i]);
+        const right = toX(edges[i + 1]);
+        context.fillRect(left + 0.5, toY(count), Math.max(right - left - 1, 1), bottom - toY(count));
+    });
+
+    // Time average
+    if (data.averageCounts) {
+        context.strokeStyle = '#333';
+        context.lineWidth = 1.5;
+        context.beginPath();
+        data.averageCounts.forEach((count, i) => {
+            const y = toY(count);
+            if (i === 0) {
+                context.moveTo(toX(edges[0]), y);
+            } else {
+                context.lineTo(toX(edges[i]), y);
+            }
+            context.lineTo(toX(edges[i + 1]), y);
+        });
+        context.stroke();
+    }
+
+    // Axis labels
+    const formatEdge = (value) => (Number.isInteger(value) ? `${value}` : value.toFixed(1));
+    context.fillStyle = '#666';
+    context.textAlign = 'left';
+    context.fillText(`${Number.isInteger(maxCount) ? maxCount : maxCount.toFixed(1)}`, 2, 1);
+    context.textBaseline = 'bottom';
+    context.fillText(formatEdge(edges[0]), 2, height - 1);
+    context.textAlign = 'right';
+    context.fillText(formatEdge(edges[edges.length - 1]), width - 2, height - 1);
+};
+
+/**
+ * Download the histograms as CSV: one line per bin
+ */
+UIController.prototype.exportHistogramsCSV = function() {
+    const data = this.getHistogramData();
+    const lines = ['distribution,binStart,binEnd,count,averageCount'];
+    Object.entries(data).forEach(([key, histogram]) => {
+        histogram.counts.forEach((count, i) => {
+            const average = histogram.averageCounts ? histogram.averageCounts[i] : '';
+            lines.push(`${key},${histogram.edges[i]},${histogram.edges[i + 1]},${count},${average}`);
+        });
+    });
+    saveStrings(lines, `histograms-${this.config.current.seed}-${Date.now()}`, 'csv');
+};
+
+/**
+ * Download the histograms as JSON, with the binning settings and the number of samples averaged
+ */
+UIController.prototype.exportHistogramsJSON = function() {
+    const settings = this.config.current;
+    const data = this.getHistogramData();
+    saveJSON(Object.assign({
+        xScale: settings.histogramXScale,
+        bins: settings.histogramBins,
+        averagedSamples: settings.histogramAverage ?
+            Math.min(this.histogramSamples.length, Math.round(settings.histogramAverageSamples)) : 0
+    }, data), `histograms-${settings.seed}-${Date.now()}.json`);
+};
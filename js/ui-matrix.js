@@ -0,0 +1,154 @@
+/**
+ * UI Matrix module
+ * Contains the grid editor for the species interaction matrix
+ */
+
+/**
+ * Create interaction matrix controls (enable, species mode, parameter and grid editor)
+ * @param {p5.Element} container - Parent container
+ */
+UIController.prototype.createInteractionMatrixControls = function(container) {
+    const group = createDiv();
+    group.class('control-group');
+    group.parent(container);
+
+    // Title
+    const title = createElement('h3', 'Interaction Matrix');
+    title.parent(group);
+
+    // Enable/disable per-species-pair overrides
+    this.createButtonGroup(
+        group,
+        'interactionMatrixEnabled',
+        'Species Overrides',
+        { true: 'On', false: 'Off' },
+        this.config.current.interactionMatrixEnabled,
+        (value) => {
+            this.config.updateSetting('interactionMatrixEnabled', value === 'true');
+        }
+    );
+
+    // How particles are grouped into species
+    this.createButtonGroup(
+        group,
+        'speciesMode',
+        'Species By',
+        { shape: 'Shape', affinity: 'Affinity' },
+        this.config.current.speciesMode,
+        (value) => {
+            this.config.updateSetting('speciesMode', value);
+            this.renderInteractionMatrix();
+        }
+    );
+
+    // Which parameter the grid edits
+    this.matrixParameter = 'attractionCoefficient';
+    this.createButtonGroup(
+        group,
+        'matrixParameter',
+        'Edit Parameter',
+        {
+            attractionCoefficient: 'Attraction',
+            repulsionCoefficient: 'Repulsion',
+            stickyForceCoefficient: 'Sticky',
+            thresholdDistance: 'Threshold'
+        },
+        this.matrixParameter,
+        (value) => {
+            this.matrixParameter = value;
+            this.renderInteractionMatrix();
+        }
+    );
+    this.controls.matrixParameter.getValue = () => this.matrixParameter;
+
+    // Grid editor; blank cells use the global value
+    const gridContainer = createDiv();
+    gridContainer.class('slider-container');
+    gridContainer.parent(group);
+    this.matrixGrid = gridContainer;
+
+    // Rebuilt whenever the settings are synced (presets, snapshots, scenarios)
+    this.addRedrawControl('interactionMatrix', () => this.renderInteractionMatrix());
+
+    this.renderInteractionMatrix();
+};
+
+/**
+ * Get the species names shown in the interaction matrix editor
+ * @returns {Array<string>} - Species names
+ */
+UIController.prototype.getMatrixSpecies = function() {
+    if (this.config.current.speciesMode === 'affinity') {
+        return ['A', 'B', 'C', 'D'].slice(0, this.config.current.affinityTypes);
+    }
+    return ['circle', 'rod'];
+};
+
+/**
+ * Rebuild the interaction matrix grid for the current species and parameter
+ */
+UIController.prototype.renderInteractionMatrix = function() {
+    if (!this.matrixGrid) return;
+    this.matrixGrid.html('');
+
+    const parameter = this.matrixParameter;
+    const species = this.getMatrixSpecies();
+    const matrix = this.config.current.interactionMatrix;
+
+    const table = createElement('table');
+    table.parent(this.matrixGrid);
+
+    // Header row
+    const header = createElement('tr');
+    header.parent(table);
+    createElement('th', '').parent(header);
+    species.forEach(name => {
+        createElement('th', name).parent(header);
+    });
+
+    // One row per species; both cells of a symmetric pair edit the same entry
+    species.forEach(rowSpecies => {
+        const row = createElement('tr');
+        row.parent(table);
+        createElement('th', rowSpecies).parent(row);
+
+        species.forEach(columnSpecies => {
+            const key = ForceSystem.getMatrixKey(rowSpecies, columnSpecies);
+            const overrides = matrix[key] || {};
+            const value = overrides[parameter] !== undefined ? overrides[parameter] : '';
+
+            const cell = createElement('td');
+            cell.parent(row);
+            const input = createInput(String(value), 'number');
+            input.parent(cell);
+            input.attribute('placeholder', String(this.config.current[parameter]));
+            input.style('width', '60px');
+            input.changed(() => {
+                this.setInteractionMatrixValue(key, parameter, input.value());
+                this.renderInteractionMatrix();
+            });
+        });
+    });
+};
+
+/**
+ * Set or clear one override in the interaction matrix
+ * @param {string} key - Matrix key for the species pair
+ * @param {string} parameter - Setting being overridden
+ * @param {string} text - Entered value (blank clears the override)
+ */
+UIController.prototype.setInteractionMatrixValue = function(key, parameter, text) {
+    const matrix = this.config.current.interactionMatrix;
+    const value = parseFloat(text);
+
+    if (text.trim() === '' || isNaN(value)) {
+        if (matrix[key]) {
+            delete matrix[key][parameter];
+            if (Object.keys(matrix[key]).length === 0) {
+                delete matrix[key];
+            }
+        }
+    } else {
+        matrix[key] = Object.assign(matrix[key] || {}, { [parameter]: value });
+    }
+};
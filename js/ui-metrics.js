@@ -0,0 +1,129 @@
+/**
+ * UI Metrics module
+ * Contains the cluster shape metrics in the statistics panel: a histogram of the chosen metric,
+ * the mean of each metric and the CSV/JSON export
+ */
+
+/**
+ * Create the cluster shape metric display
+ * @param {p5.Element} container - Parent container (the statistics panel)
+ */
+UIController.prototype.createClusterMetrics = function(container) {
+    const metricsDiv = createDiv();
+    metricsDiv.parent(container);
+
+    // Metric shown in the histogram
+    this.createButtonGroup(
+        metricsDiv,
+        'clusterMetric',
+        'Cluster Shape',
+        ClusterMetrics.METRICS,
+        this.config.current.clusterMetric,
+        (value) => {
+            this.config.updateSetting('clusterMetric', value);
+            this.drawClusterMetrics();
+        }
+    );
+
+    // Plain canvas, drawn like the Distributions histograms and with their axis settings
+    this.clusterMetricHistogram = { label: '', color: '#009688' };
+    this.clusterMetricHistogram.canvas = createElement('canvas');
+    this.clusterMetricHistogram.canvas.parent(metricsDiv);
+    this.clusterMetricHistogram.canvas.attribute('width', '220');
+    this.clusterMetricHistogram.canvas.attribute('height', '80');
+    this.clusterMetricHistogram.canvas.style('display', 'block');
+    this.clusterMetricHistogram.canvas.style('border', '1px solid #ddd');
+    this.clusterMetricHistogram.canvas.style('margin', '2px 0 6px 0');
+
+    // Mean of each metric over the clusters
+    this.clusterMetricMeans = {};
+    Object.entries(ClusterMetrics.METRICS).forEach(([key, label]) => {
+        this.clusterMetricMeans[key] = createP(`Mean ${label}: -`);
+        this.clusterMetricMeans[key].parent(metricsDiv);
+    });
+
+    // Export buttons
+    const exportDiv = createDiv();
+    exportDiv.class('slider-container');
+    exportDiv.parent(metricsDiv);
+
+    const csvBtn = createButton('Export Shapes CSV');
+    csvBtn.parent(exportDiv);
+    csvBtn.mousePressed(() => {
+        this.exportClusterMetricsCSV();
+    });
+
+    const jsonBtn = createButton('Export Shapes JSON');
+    jsonBtn.parent(exportDiv);
+    jsonBtn.mousePressed(() => {
+        this.exportClusterMetricsJSON();
+    });
+
+    this.clusterMetrics = [];       // Metrics of each cluster at the latest sample
+    this.clusterMetricsTime = null; // Simulated time of the latest sample
+};
+
+/**
+ * Measure the clusters every 10 steps of simulated time and redraw the display
+ * @param {object} stats - Simulation statistics
+ */
+UIController.prototype.updateClusterMetrics = function(stats) {
+    if (!this.clusterMetricHistogram) return;
+
+    if (!this.isAnalysisDue(this.clusterMetricsTime, stats)) return;
+
+    this.clusterMetrics = this.simulation.getForceSystem()
+        .getClusterMetrics(this.simulation.particles, this.config.current);
+    this.clusterMetricsTime = stats.simulatedTime;
+    this.drawClusterMetrics();
+};
+
+/**
+ * Draw the histogram of the chosen metric and the means
+ */
+UIController.prototype.drawClusterMetrics = function() {
+    if (!this.clusterMetricHistogram) return;
+
+    const settings = this.config.current;
+    Object.entries(ClusterMetrics.METRICS).forEach(([key, label]) => {
+        // Small clusters have no fractal dimension
+        const values = this.clusterMetrics.map(metrics => metrics[key]).filter(value => value !== null);
+        const mean = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        this.clusterMetricMeans[key].html(`Mean ${label}: ${mean !== null ? mean.toFixed(2) : '-'}`);
+    });
+
+    const key = settings.clusterMetric;
+    const values = this.clusterMetrics.map(metrics => metrics[key]).filter(value => value !== null);
+    const edges = Histogram.getEdges(values, {
+        scale: settings.histogramXScale,
+        bins: settings.histogramBins
+    });
+    this.clusterMetricHistogram.label = `${ClusterMetrics.METRICS[key] || key} (${values.length} clusters)`;
+    this.drawHistogram(this.clusterMetricHistogram, {
+        edges,
+        counts: Histogram.count(values, edges),
+        averageCounts: null
+    });
+};
+
+/**
+ * Download the metrics of each cluster as CSV: one line per cluster
+ */
+UIController.prototype.exportClusterMetricsCSV = function() {
+    const keys = ['clusterId', 'size'].concat(Object.keys(ClusterMetrics.METRICS));
+    const lines = [keys.join(',')];
+    this.clusterMetrics.forEach(metrics => {
+        lines.push(keys.map(key => (metrics[key] !== null ? metrics[key] : '')).join(','));
+    });
+    saveStrings(lines, `cluster-shapes-${this.config.current.seed}-${Date.now()}`, 'csv');
+};
+
+/**
+ * Download the metrics of each cluster as JSON, with the simulated time they were measured at
+ */
+UIController.prototype.exportClusterMetricsJSON = function() {
+    saveJSON({
+        simulatedTime: this.clusterMetricsTime,
+        clusters: this.clusterMetrics
+    }, `cluster-shapes-${this.config.current.seed}-${Date.now()}.json`);
+};
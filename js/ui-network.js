@@ -0,0 +1,181 @@
+/**
+ * UI Network module
+ * Contains the contact network panel: coordination numbers, bond-orientational order,
+ * per-cluster graph metrics and export
+ */
+
+/**
+ * Create the contact network panel
+ * @param {p5.Element} container - Parent container
+ */
+UIController.prototype.createNetworkPanel = function(container) {
+    const group = createDiv();
+    group.class('control-group');
+    group.parent(container);
+
+    // Title
+    const title = createElement('h3', 'Contact Network');
+    title.parent(group);
+
+    this.networkDegreeStatus = createP('Coordination: -');
+    this.networkDegreeStatus.parent(group);
+    this.networkOrderStatus = createP('Bond Order ψ6: -');
+    this.networkOrderStatus.parent(group);
+
+    // Coordination number distribution, drawn like the Distributions histograms on a linear value axis
+    this.networkHistogram = { label: 'Coordination Number', color: '#795548', xScale: 'linear' };
+    this.networkHistogram.canvas = createElement('canvas');
+    this.networkHistogram.canvas.parent(group);
+    this.networkHistogram.canvas.attribute('width', '300');
+    this.networkHistogram.canvas.attribute('height', '100');
+    this.networkHistogram.canvas.style('display', 'block');
+    this.networkHistogram.canvas.style('border', '1px solid #ddd');
+    this.networkHistogram.canvas.style('margin-bottom', '6px');
+
+    // Graph metrics of each cluster; clicking one highlights it
+    this.networkClusterList = createDiv();
+    this.networkClusterList.parent(group);
+    this.networkClusterList.style('max-height', '150px');
+    this.networkClusterList.style('overflow-y', 'auto');
+    this.networkClusterList.style('font-size', '12px');
+    this.networkClusterList.style('border', '1px solid #ddd');
+    this.networkClusterList.style('background', '#fff');
+
+    // Export buttons
+    const exportDiv = createDiv();
+    exportDiv.class('slider-container');
+    exportDiv.parent(group);
+
+    const csvBtn = createButton('Export CSV');
+    csvBtn.parent(exportDiv);
+    csvBtn.mousePressed(() => {
+        this.exportNetworkCSV();
+    });
+
+    const jsonBtn = createButton('Export JSON');
+    jsonBtn.parent(exportDiv);
+    jsonBtn.mousePressed(() => {
+        this.exportNetworkJSON();
+    });
+
+    this.networkAnalysis = null; // Latest analysis, see analyzeNetwork
+    this.networkTime = null;     // Simulated time of the latest analysis
+};
+
+/**
+ * Analyse the contact network of the current particles
+ * @returns {object} - { degrees, degreeCounts, averageDegrees, bondOrders, globalBondOrder, edgeCount, clusters }
+ */
+UIController.prototype.analyzeNetwork = function() {
+    const particles = this.simulation.particles;
+    const forceSystem = this.simulation.getForceSystem();
+    const network = forceSystem.getContactNetwork(particles);
+    const bondOrders = network.getBondOrders(particles, this.config.current);
+    return {
+        degrees: network.getDegrees(),
+        degreeCounts: network.getDegreeCounts(),
+        averageDegrees: network.getAverageDegrees(particles),
+        bondOrders,
+        globalBondOrder: ContactNetwork.getGlobalBondOrder(bondOrders),
+        edgeCount: network.edgeCount,
+        clusters: forceSystem.getClusterGraphMetrics(particles, network)
+    };
+};
+
+/**
+ * Analyse the network every 10 steps of simulated time and redraw the panel
+ * @param {object} stats - Simulation statistics
+ */
+UIController.prototype.updateNetwork = function(stats) {
+    if (!this.networkHistogram) return;
+
+    if (!this.isAnalysisDue(this.networkTime, stats)) return;
+
+    this.networkAnalysis = this.analyzeNetwork();
+    this.networkTime = stats.simulatedTime;
+    this.drawNetwork();
+};
+
+/**
+ * Show the latest analysis
+ */
+UIController.prototype.drawNetwork = function() {
+    const analysis = this.networkAnalysis;
+    if (!analysis) return;
+
+    const averages = analysis.averageDegrees;
+    const format = (value) => (value !== null ? value.toFixed(2) : '-');
+    this.networkDegreeStatus.html(
+        `Coordination: ${format(averages.all)} mean (circles ${format(averages.circle)}, rods ${format(averages.rod)}), ${analysis.edgeCount} bonds`
+    );
+
+    const magnitudes = analysis.bondOrders.filter(order => order !== null).map(order => order.magnitude);
+    const meanMagnitude = magnitudes.length > 0 ? magnitudes.reduce((sum, value) => sum + value, 0) / magnitudes.length : null;
+    this.networkOrderStatus.html(
+        `Bond Order ψ6: ${analysis.globalBondOrder.toFixed(2)} global, ${format(meanMagnitude)} mean |ψ6|`
+    );
+
+    // One bin per coordination number
+    const edges = analysis.degreeCounts.map((_, degree) => degree).concat(analysis.degreeCounts.length);
+    this.drawHistogram(this.networkHistogram, {
+        edges,
+        counts: analysis.degreeCounts,
+        averageCounts: null
+    });
+
+    this.layoutNetworkClusters();
+};
+
+/**
+ * Rebuild the per-cluster list, highlighting the selected cluster
+ */
+UIController.prototype.layoutNetworkClusters = function() {
+    this.networkClusterList.html('');
+    this.networkAnalysis.clusters.forEach(metrics => {
+        const row = createDiv(
+            `#${metrics.clusterId}: ${metrics.nodes} members, ${metrics.edges} bonds, ` +
+            `diameter ${metrics.diameter}, ${metrics.cycles} cycles, ${metrics.triangles} triangles`
+        );
+        row.parent(this.networkClusterList);
+        row.style('padding', '2px 4px');
+        row.style('cursor', 'pointer');
+        if (metrics.clusterId === this.highlightedClusterId) {
+            row.style('background', '#fce4ec');
+        }
+        row.elt.addEventListener('click', () => {
+            this.selectCluster(metrics.clusterId === this.highlightedClusterId ? null : metrics.clusterId);
+            this.layoutNetworkClusters();
+        });
+    });
+};
+
+/**
+ * Download the coordination number and psi6 of every particle as CSV
+ */
+UIController.prototype.exportNetworkCSV = function() {
+    const analysis = this.analyzeNetwork();
+    const forceSystem = this.simulation.getForceSystem();
+    const lines = ['particleId,species,clusterId,coordination,psi6'];
+    this.simulation.particles.forEach((particle, id) => {
+        const species = particle instanceof RodParticle ? 'rod' : 'circle';
+        const clusterId = forceSystem.getClusterId(id);
+        const order = analysis.bondOrders[id];
+        lines.push(`${id},${species},${clusterId !== null ? clusterId : ''},${analysis.degrees[id]},${order ? order.magnitude : ''}`);
+    });
+    saveStrings(lines, `contact-network-${this.config.current.seed}-${Date.now()}`, 'csv');
+};
+
+/**
+ * Download the network summary and the graph metrics of each cluster as JSON
+ */
+UIController.prototype.exportNetworkJSON = function() {
+    const analysis = this.analyzeNetwork();
+    saveJSON({
+        simulatedTime: this.simulation.simulatedTime,
+        edgeCount: analysis.edgeCount,
+        degreeCounts: analysis.degreeCounts,
+        averageDegrees: analysis.averageDegrees,
+        globalBondOrder: analysis.globalBondOrder,
+        clusters: analysis.clusters
+    }, `contact-network-${this.config.current.seed}-${Date.now()}.json`);
+};
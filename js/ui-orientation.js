@@ -0,0 +1,264 @@
+/**
+ * UI Orientation module
+ * Contains the rod orientation panel: nematic order, rose plot, per-cluster patterns and export
+ */
+
+/**
+ * Create the rod orientation panel
+ * @param {p5.Element} container - Parent container
+ */
+UIController.prototype.createOrientationPanel = function(container) {
+    const group = createDiv();
+    group.class('control-group');
+    group.parent(container);
+
+    // Title
+    const title = createElement('h3', 'Rod Orientation');
+    title.parent(group);
+
+    // Global nematic order
+    this.orientationStatus = createP('Nematic Order: -');
+    this.orientationStatus.parent(group);
+
+    // Rose plot of the rod angles, drawn on a plain canvas
+    this.roseCanvas = createElement('canvas');
+    this.roseCanvas.parent(group);
+    this.roseCanvas.attribute('width', '180');
+    this.roseCanvas.attribute('height', '180');
+    this.roseCanvas.style('display', 'block');
+    this.roseCanvas.style('border', '1px solid #ddd');
+
+    this.createSlider(
+        group,
+        'roseBins',
+        'Rose Bins',
+        6, 72,
+        this.config.current.roseBins,
+        6,
+        (value) => {
+            this.config.updateSetting('roseBins', value);
+            this.drawRosePlot();
+        }
+    );
+
+    // Per-cluster breakdown; clicking a cluster highlights it and shows its rose
+    this.orientationPatterns = createP('Clusters: -');
+    this.orientationPatterns.parent(group);
+
+    this.orientationClusterList = createDiv();
+    this.orientationClusterList.parent(group);
+    this.orientationClusterList.style('max-height', '150px');
+    this.orientationClusterList.style('overflow-y', 'auto');
+    this.orientationClusterList.style('font-size', '12px');
+    this.orientationClusterList.style('border', '1px solid #ddd');
+    this.orientationClusterList.style('background', '#fff');
+
+    // Local order field over the canvas
+    this.createButtonGroup(
+        group,
+        'showOrderField',
+        'Order Field',
+        { true: 'On', false: 'Off' },
+        this.config.current.showOrderField,
+        (value) => {
+            this.config.updateSetting('showOrderField', value === 'true');
+        }
+    );
+
+    this.createSlider(
+        group,
+        'orderFieldCellSize',
+        'Field Cell Size',
+        20, 200,
+        this.config.current.orderFieldCellSize,
+        10,
+        (value) => {
+            this.config.updateSetting('orderFieldCellSize', value);
+        }
+    );
+
+    // Export button
+    const exportDiv = createDiv();
+    exportDiv.class('slider-container');
+    exportDiv.parent(group);
+
+    const exportBtn = createButton('Export Orientation');
+    exportBtn.parent(exportDiv);
+    exportBtn.mousePressed(() => {
+        this.exportOrientation();
+    });
+
+    this.clusterOrientations = [];  // Orientation of each cluster with rods at the latest sample
+    this.orientationTime = null;    // Simulated time of the latest sample
+
+    this.addRedrawControl('orientation', () => this.drawRosePlot());
+};
+
+/**
+ * Analyse the clusters every 10 steps of simulated time and redraw the panel
+ * @param {object} stats - Simulation statistics
+ */
+UIController.prototype.updateOrientation = function(stats) {
+    if (!this.roseCanvas) return;
+
+    if (!this.isAnalysisDue(this.orientationTime, stats)) return;
+
+    this.clusterOrientations = this.simulation.getForceSystem()
+        .getClusterOrientations(this.simulation.particles, this.config.current);
+    this.orientationTime = stats.simulatedTime;
+
+    const rods = this.getOrientationRods(null);
+    const nematic = OrientationAnalysis.getNematicOrder(rods.map(rod => rod.angle));
+    this.orientationStatus.html(rods.length > 0 ?
+        `Nematic Order: ${nematic.order.toFixed(2)} (director ${this.formatAxisAngle(nematic.director)}, ${rods.length} rods)` :
+        'Nematic Order: - (no rods)');
+
+    const counts = {};
+    this.clusterOrientations.forEach(orientation => {
+        counts[orientation.pattern] = (counts[orientation.pattern] || 0) + 1;
+    });
+    this.orientationPatterns.html(this.clusterOrientations.length > 0 ?
+        `Clusters: ${Object.entries(OrientationAnalysis.PATTERNS).map(([key, label]) => `${counts[key] || 0} ${label.toLowerCase()}`).join(', ')}` :
+        'Clusters: none with two or more rods');
+
+    this.layoutOrientationClusters();
+    this.drawRosePlot();
+};
+
+/**
+ * Get the rods of a cluster, or every rod
+ * @param {number|null} clusterId - Persistent cluster ID, or null for every rod
+ * @returns {Array<RodParticle>} - Rods
+ */
+UIController.prototype.getOrientationRods = function(clusterId) {
+    const forceSystem = this.simulation.getForceSystem();
+    return this.simulation.particles.filter(particle => particle instanceof RodParticle &&
+        (clusterId === null || forceSystem.getClusterId(particle.id) === clusterId));
+};
+
+/**
+ * Format a rod axis angle in degrees
+ * @param {number} angle - Angle in radians
+ * @returns {string} - Angle such as '35°'
+ */
+UIController.prototype.formatAxisAngle = function(angle) {
+    return `${Math.round(OrientationAnalysis.toAxisAngle(angle) * 180 / Math.PI)}°`;
+};
+
+/**
+ * Rebuild the per-cluster list, highlighting the selected cluster
+ */
+UIController.prototype.layoutOrientationClusters = function() {
+    this.orientationClusterList.html('');
+    this.clusterOrientations.forEach(orientation => {
+        const pattern = OrientationAnalysis.PATTERNS[orientation.pattern];
+        const row = createDiv(
+            `#${orientation.clusterId}: ${orientation.rodCount} rods, S ${orientation.order.toFixed(2)}, ` +
+            `radial ${orientation.radialOrder.toFixed(2)} - ${pattern}`
+        );
+        row.parent(this.orientationClusterList);
+        row.style('padding', '2px 4px');
+        row.style('cursor', 'pointer');
+        if (orientation.clusterId === this.highlightedClusterId) {
+            row.style('background', '#fce4ec');
+        }
+        row.elt.addEventListener('click', () => {
+            this.selectCluster(orientation.clusterId === this.highlightedClusterId ? null : orientation.clusterId);
+            this.layoutOrientationClusters();
+            this.drawRosePlot();
+        });
+    });
+};
+
+/**
+ * Draw the rose plot of the highlighted cluster's rods, or of every rod when no cluster
+ * with rods is highlighted; each bin is drawn at both ends of its axis
+ */
+UIController.prototype.drawRosePlot = function() {
+    if (!this.roseCanvas) return;
+
+    const clusterId = this.clusterOrientations.some(orientation => orientation.clusterId === this.highlightedClusterId) ?
+        this.highlightedClusterId : null;
+    const angles = this.getOrientationRods(clusterId).map(rod => rod.angle);
+    const bins = Math.max(1, Math.round(this.config.current.roseBins));
+    const counts = OrientationAnalysis.getRoseCounts(angles, bins);
+    const maxCount = Math.max(...counts, 1);
+
+    const canvas = this.roseCanvas.elt;
+    const context = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const radius = Math.min(width, height) / 2 - 14;
+    context.clearRect(0, 0, width, height);
+
+    // Reference circle and axes
+    context.strokeStyle = '#ddd';
+    context.lineWidth = 1;
+    context.beginPath();
+    context.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+    context.moveTo(centerX - radius, centerY);
+    context.lineTo(centerX + radius, centerY);
+    context.moveTo(centerX, centerY - radius);
+    context.lineTo(centerX, centerY + radius);
+    context.stroke();
+
+    // Wedges, area proportional to the count; canvas angles match the simulation's (y down)
+    const step = Math.PI / bins;
+    context.fillStyle = clusterId !== null ? 'rgba(233, 30, 99, 0.7)' : 'rgba(0, 150, 136, 0.7)';
+    counts.forEach((count, i) => {
+        if (count === 0) return;
+        const length = radius * Math.sqrt(count / maxCount);
+        [0, Math.PI].forEach(offset => {
+            context.beginPath();
+            context.moveTo(centerX, centerY);
+            context.arc(centerX, centerY, length, offset + i * step, offset + (i + 1) * step);
+            context.closePath();
+            context.fill();
+        });
+    });
+
+    // Director of the rods shown
+    if (angles.length > 0) {
+        const nematic = OrientationAnalysis.getNematicOrder(angles);
+        const dx = radius * nematic.order * Math.cos(nematic.director);
+        const dy = radius * nematic.order * Math.sin(nematic.director);
+        context.strokeStyle = '#333';
+        context.lineWidth = 2;
+        context.beginPath();
+        context.moveTo(centerX - dx, centerY - dy);
+        context.lineTo(centerX + dx, centerY + dy);
+        context.stroke();
+    }
+
+    // Which rods are shown
+    context.fillStyle = '#666';
+    context.font = '10px Arial';
+    context.textAlign = 'left';
+    context.textBaseline = 'top';
+    context.fillText(clusterId !== null ? `Cluster #${clusterId}` : 'All rods', 2, 1);
+    context.textAlign = 'right';
+    context.fillText(`n=${angles.length}`, width - 2, 1);
+};
+
+/**
+ * Download the orientation analysis as JSON: the global order, the rose counts of every
+ * rod and the orientation of each cluster
+ */
+UIController.prototype.exportOrientation = function() {
+    const rods = this.getOrientationRods(null);
+    const angles = rods.map(rod => rod.angle);
+    const bins = Math.max(1, Math.round(this.config.current.roseBins));
+    saveJSON({
+        simulatedTime: this.orientationTime,
+        rodCount: rods.length,
+        nematic: OrientationAnalysis.getNematicOrder(angles),
+        rose: {
+            binWidth: Math.PI / bins,
+            counts: OrientationAnalysis.getRoseCounts(angles, bins)
+        },
+        orderField: OrientationAnalysis.getOrderField(rods, this.config.current, this.config.current.orderFieldCellSize),
+        clusters: this.clusterOrientations
+    }, `orientation-${this.config.current.seed}-${Date.now()}.json`);
+};
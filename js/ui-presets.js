@@ -13,13 +13,28 @@ UIController.prototype.resetToDefaultSettings = function() {
     // Reset to defaults while preserving the current particle type
     this.config.resetToDefaults({ particleType: currentParticleType });
     
-    // Update UI sliders
+    // Update all controls to match the new settings
+    this.syncControlsWithConfig();
+};
+
+/**
+ * Update every control to match the current config
+ * Used after settings are replaced wholesale (defaults, restored snapshots)
+ */
+UIController.prototype.syncControlsWithConfig = function() {
+    const particleType = this.config.current.particleType;
+    
+    // Update UI sliders and other controls
+    // Controls for values that aren't top-level settings provide their own getValue
     for (const [key, control] of Object.entries(this.controls)) {
+        const value = control.getValue ? control.getValue() : this.config.current[key];
         if (control.slider) {
-            control.slider.value(this.config.current[key]);
+            control.slider.value(value);
             if (control.valueDisplay) {
-                control.valueDisplay.html(this.config.current[key]);
+                control.valueDisplay.html(value);
             }
+        } else if (control.setValue) {
+            control.setValue(value);
         }
     }
     
@@ -29,13 +44,16 @@ UIController.prototype.resetToDefaultSettings = function() {
     
     if (rodLengthDiv && ratioDiv) {
         // Show/hide rod length slider based on particle type
-        const showRodLength = currentParticleType === 'rod' || currentParticleType === 'mixed';
+        const showRodLength = particleType === 'rod' || particleType === 'mixed';
         rodLengthDiv.style.display = showRodLength ? 'block' : 'none';
         
         // Show/hide rod ratio slider based on particle type
-        const showRodRatio = currentParticleType === 'mixed';
+        const showRodRatio = particleType === 'mixed';
         ratioDiv.style.display = showRodRatio ? 'block' : 'none';
     }
+    
+    // Update morphology button styles and Try Me buttons visibility
+    this.updateMorphologyButtonStyles(particleType);
 };
 
 /**
@@ -0,0 +1,103 @@
+/**
+ * UI Recorder module
+ * Contains the stats recording controls and the CSV/JSON export
+ */
+
+/**
+ * Create the recording controls (toggle, sampling sliders and export buttons)
+ * @param {p5.Element} container - Parent container
+ */
+UIController.prototype.createRecorderControls = function(container) {
+    const group = createDiv();
+    group.class('control-group');
+    group.parent(container);
+
+    // Title
+    const title = createElement('h3', 'Recording');
+    title.parent(group);
+
+    // Record a time series of the stats
+    this.createButtonGroup(
+        group,
+        'recordingEnabled',
+        'Record Stats',
+        { true: 'On', false: 'Off' },
+        this.config.current.recordingEnabled,
+        (value) => {
+            this.config.updateSetting('recordingEnabled', value === 'true');
+        }
+    );
+
+    // Sampling interval
+    this.createSlider(
+        group,
+        'recordInterval',
+        'Sample Every (steps)',
+        1, 100,
+        this.config.current.recordInterval,
+        1,
+        (value) => {
+            this.config.updateSetting('recordInterval', value);
+        }
+    );
+
+    // Ring buffer length
+    this.createSlider(
+        group,
+        'recordBufferLength',
+        'Samples Kept',
+        100, 10000,
+        this.config.current.recordBufferLength,
+        100,
+        (value) => {
+            this.config.updateSetting('recordBufferLength', value);
+        }
+    );
+
+    // Export buttons
+    const exportDiv = createDiv();
+    exportDiv.class('slider-container');
+    exportDiv.parent(group);
+
+    const csvBtn = createButton('Export CSV');
+    csvBtn.parent(exportDiv);
+    csvBtn.mousePressed(() => {
+        this.exportStatsCSV();
+    });
+
+    const jsonBtn = createButton('Export JSON');
+    jsonBtn.parent(exportDiv);
+    jsonBtn.mousePressed(() => {
+        this.exportStatsJSON();
+    });
+
+    // Number of samples held
+    this.recorderStatus = createSpan('0 samples');
+    this.recorderStatus.parent(exportDiv);
+};
+
+/**
+ * Show the number of samples held
+ */
+UIController.prototype.updateRecorderStatus = function() {
+    if (!this.recorderStatus) return;
+
+    const recorder = this.simulation.statsRecorder;
+    this.recorderStatus.html(`${recorder.length} samples`);
+};
+
+/**
+ * Download the recorded stats as a CSV file
+ */
+UIController.prototype.exportStatsCSV = function() {
+    const lines = this.simulation.statsRecorder.toCSV();
+    saveStrings(lines, `stats-${this.config.current.seed}-${Date.now()}`, 'csv');
+};
+
+/**
+ * Download the recorded stats, with the settings of the run, as a JSON file
+ */
+UIController.prototype.exportStatsJSON = function() {
+    const data = this.simulation.statsRecorder.toJSON(this.config.copySettings(this.config.current));
+    saveJSON(data, `stats-${this.config.current.seed}-${Date.now()}.json`);
+};
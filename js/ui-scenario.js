@@ -0,0 +1,74 @@
+/**
+ * UI Scenario module
+ * Contains methods for downloading and loading scenario files
+ */
+
+/**
+ * Create scenario file controls (download button and file picker)
+ * @param {p5.Element} container - Parent container
+ */
+UIController.prototype.createScenarioControls = function(container) {
+    const scenarioDiv = createDiv();
+    scenarioDiv.class('slider-container');
+    scenarioDiv.parent(container);
+    
+    // Label
+    const labelElement = createElement('label', 'Scenario File');
+    labelElement.parent(scenarioDiv);
+    
+    // Download button
+    const downloadBtn = createButton('Download Scenario');
+    downloadBtn.parent(scenarioDiv);
+    downloadBtn.mousePressed(() => {
+        this.downloadScenario();
+    });
+    
+    // File picker for loading a scenario
+    const fileInput = createInput('', 'file');
+    fileInput.parent(scenarioDiv);
+    fileInput.attribute('accept', '.json,application/json');
+    fileInput.elt.addEventListener('change', () => {
+        const file = fileInput.elt.files[0];
+        if (file) {
+            this.loadScenarioFile(file);
+        }
+        // Allow loading the same file again
+        fileInput.elt.value = '';
+    });
+    
+    // Status line for load results and errors
+    this.scenarioStatus = createSpan('');
+    this.scenarioStatus.parent(scenarioDiv);
+};
+
+/**
+ * Download the current scenario as a JSON file
+ */
+UIController.prototype.downloadScenario = function() {
+    const scenario = ScenarioFile.create(this.simulation);
+    saveJSON(scenario, `scenario-${scenario.seed}-${Date.now()}.json`);
+    this.scenarioStatus.html(`Saved ${scenario.particles.length} particles`);
+};
+
+/**
+ * Load a scenario file chosen by the user
+ * @param {File} file - The selected file
+ */
+UIController.prototype.loadScenarioFile = function(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const scenario = ScenarioFile.load(this.simulation, reader.result);
+            
+            // The scenario carries the simulation area it was saved with
+            resizeCanvas(this.config.current.canvasWidth, this.config.current.canvasHeight);
+            this.syncControlsWithConfig();
+            this.startPauseBtn.html('Start');
+            this.scenarioStatus.html(`Loaded "${scenario.metadata ? scenario.metadata.name : file.name}"`);
+        } catch (error) {
+            console.error('Failed to load scenario:', error);
+            this.scenarioStatus.html(`Could not load scenario: ${error.message}`);
+        }
+    };
+    reader.readAsText(file);
+};
@@ -19,6 +19,8 @@ UIController.prototype.createStatsDisplay = function(container) {
     // Stats elements
     this.statsElements = {
         fps: createP('FPS: 0'),
+        simulatedTime: createP('Simulated Time: 0'),
+        absorbed: createP('Absorbed: 0'),
         particleCount: createP('Particles: 0'),
         rodParticles: createP('Rod Particles: 0'),
         circularParticles: createP('Circular Particles: 0'),
@@ -27,13 +29,19 @@ UIController.prototype.createStatsDisplay = function(container) {
         distinctClusters: createP('Distinct Clusters: 0'),
         particlesInClusters: createP('Particles in Clusters: 0'),
         largestCluster: createP('Largest Cluster: 0'),
-        clusterDistribution: createP('Cluster Sizes: 0 small, 0 medium, 0 large')
+        clusterDistribution: createP('Cluster Sizes: median 0, 90th percentile 0')
     };
     
     // Add stats elements to container
     for (let key in this.statsElements) {
         this.statsElements[key].parent(statsDiv);
     }
+    
+    // Live charts of the main stats
+    this.createStatsCharts(statsDiv);
+    
+    // Distributions of the cluster shape metrics
+    this.createClusterMetrics(statsDiv);
 };
 
 /**
@@ -46,6 +54,12 @@ UIController.prototype.updateStats = function(stats) {
     
     // Update basic stats
     this.statsElements.fps.html(`FPS: ${simStats.fps.toFixed(1)}`);
+    // Adaptive stepping may split the frame's steps into more substeps
+    const substepInfo = this.config.current.adaptiveTimeStep ? `, ${simStats.substepsLastFrame} substeps` : '';
+    this.statsElements.simulatedTime.html(
+        `Simulated Time: ${simStats.simulatedTime.toFixed(1)} (${simStats.stepsLastFrame} steps/frame${substepInfo})`
+    );
+    this.statsElements.absorbed.html(`Absorbed: ${simStats.absorbedCount}`);
     this.statsElements.particleCount.html(`Particles: ${this.simulation.particles.length}`);
     this.statsElements.rodParticles.html(`Rod Particles: ${simStats.rodParticleCount}`);
     this.statsElements.circularParticles.html(`Circular Particles: ${simStats.circularParticleCount}`);
@@ -62,15 +76,33 @@ UIController.prototype.updateStats = function(stats) {
         // Find the largest cluster
         const clusterSizes = Array.from(forceSystem.clusterSizes.values());
         const largestClusterSize = clusterSizes.length > 0 ? Math.max(...clusterSizes) : 0;
-        this.statsElements.largestCluster.html(`Largest Cluster: ${largestClusterSize}`);
         
-        // Calculate cluster size distribution
-        const smallClusters = clusterSizes.filter(size => size <= 5).length;
-        const mediumClusters = clusterSizes.filter(size => size > 5 && size <= 15).length;
-        const largeClusters = clusterSizes.filter(size => size > 15).length;
+        // Name the largest cluster by its persistent ID, with its age in frames
+        const largestRecord = forceSystem.getActiveClusterRecords()
+            .reduce((largest, record) => (!largest || record.size > largest.size ? record : largest), null);
+        const largestInfo = largestRecord ? ` (#${largestRecord.id}, age ${largestRecord.age})` : '';
+        this.statsElements.largestCluster.html(`Largest Cluster: ${largestClusterSize}${largestInfo}`);
+        
+        // Summarise the size distribution by quantiles, which read the same at any
+        // particle count (the histogram panel has the full distribution)
+        const sortedSizes = clusterSizes.slice().sort((a, b) => a - b);
+        const quantile = (q) => (sortedSizes.length > 0 ?
+            sortedSizes[Math.min(Math.floor(q * sortedSizes.length), sortedSizes.length - 1)] :
+            0);
         
         this.statsElements.clusterDistribution.html(
-            `Cluster Sizes: ${smallClusters} small, ${mediumClusters} medium, ${largeClusters} large`
+            `Cluster Sizes: median ${quantile(0.5)}, 90th percentile ${quantile(0.9)}`
         );
     }
+    
+    this.updateStatsCharts(simStats);
+    this.updateClusterMetrics(simStats);
+    this.updateRecorderStatus();
+    this.updateClusterEventLog();
+    this.updateGenealogy();
+    this.updateHistograms(simStats);
+    this.updateOrientation(simStats);
+    this.updateCorrelation(simStats);
+    this.updateNetwork(simStats);
+    this.updateDiffusion();
 };
@@ -0,0 +1,85 @@
+/**
+ * UI Transition module
+ * Contains the force transition profile preview
+ */
+
+/**
+ * Create the transition profile preview canvas
+ * @param {p5.Element} container - Parent container
+ */
+UIController.prototype.createTransitionPreview = function(container) {
+    const previewDiv = createDiv();
+    previewDiv.class('slider-container');
+    previewDiv.parent(container);
+
+    // Label
+    const labelElement = createElement('label', 'Transition Preview');
+    labelElement.parent(previewDiv);
+
+    // Plain canvas element, so the preview doesn't touch the main p5 sketch
+    this.transitionPreview = createElement('canvas');
+    this.transitionPreview.parent(previewDiv);
+    this.transitionPreview.attribute('width', '200');
+    this.transitionPreview.attribute('height', '80');
+    this.transitionPreview.style('border', '1px solid #ddd');
+
+    this.addRedrawControl('transitionPreview', () => this.drawTransitionPreview());
+
+    this.drawTransitionPreview();
+};
+
+/**
+ * Draw the transition weights from 0.5x to 1.5x the threshold distance
+ * Green: attraction weight, orange: sticky share, grey lines: the 0.8x, 1x and 1.2x band edges
+ */
+UIController.prototype.drawTransitionPreview = function() {
+    if (!this.transitionPreview) return;
+
+    const canvas = this.transitionPreview.elt;
+    const context = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const settings = this.config.current;
+    const minRatio = 0.5;
+    const maxRatio = 1.5;
+
+    // Distances are in units of the threshold distance
+    const toX = (ratio) => (ratio - minRatio) / (maxRatio - minRatio) * width;
+    const toY = (weight) => height - 4 - weight * (height - 8);
+    const weightAt = (ratio, edge) => TransitionProfile.weight(
+        settings.transitionProfile, ratio, edge, settings.transitionWidth
+    );
+
+    context.clearRect(0, 0, width, height);
+
+    // Band edges
+    context.strokeStyle = '#bbb';
+    context.lineWidth = 1;
+    [0.8, 1, 1.2].forEach(edge => {
+        context.beginPath();
+        context.moveTo(toX(edge), 0);
+        context.lineTo(toX(edge), height);
+        context.stroke();
+    });
+
+    // Weight curves
+    const curves = [
+        { color: '#4CAF50', weight: (ratio) => weightAt(ratio, 1) },
+        { color: '#FF9800', weight: (ratio) => weightAt(ratio, 1) * (1 - weightAt(ratio, 1.2)) }
+    ];
+    context.lineWidth = 2;
+    curves.forEach(curve => {
+        context.strokeStyle = curve.color;
+        context.beginPath();
+        for (let x = 0; x <= width; x++) {
+            const ratio = minRatio + x / width * (maxRatio - minRatio);
+            const y = toY(curve.weight(ratio));
+            if (x === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        }
+        context.stroke();
+    });
+};